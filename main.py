@@ -1,6 +1,10 @@
 from flask import Flask,request,render_template,jsonify,send_from_directory
 import requests
+import ipaddress
 import json
+import math
+import threading
+from cachetools import TTLCache
 from flask import Flask
 from flask_cors import CORS
 
@@ -11,55 +15,348 @@ CORS(app)
 key_ticketMaster = ''
 loc_key = ''
 google_api = ''
-api_url = 'https://app.ticketmaster.com/discovery/v2/events.json?apikey=' + key_ticketMaster + '&'
+events_url = 'https://app.ticketmaster.com/discovery/v2/events.json'
+geocode_url = 'https://maps.googleapis.com/maps/api/geocode/json'
+autocomplete_url = 'https://maps.googleapis.com/maps/api/place/autocomplete/json'
+ipinfo_url = 'https://ipinfo.io/'
+suggest_url = 'https://app.ticketmaster.com/discovery/v2/suggest'
+classifications_url = 'https://app.ticketmaster.com/discovery/v2/classifications.json'
+venue_url = 'https://app.ticketmaster.com/discovery/v2/venues/'
+event_url = 'https://app.ticketmaster.com/discovery/v2/events/'
+
+# Location lookups are cached server-side so repeated addresses don't spend API quota
+geocode_cache = TTLCache(maxsize=1024, ttl=24 * 60 * 60)
+autocomplete_cache = TTLCache(maxsize=1024, ttl=60 * 60)
+ip_cache = TTLCache(maxsize=1024, ttl=60 * 60)
+# Keyword suggestions fire on every pause in typing, so they're cached the same way
+suggest_cache = TTLCache(maxsize=1024, ttl=60 * 60)
+# The segment/genre/sub-genre tree hardly ever changes
+classifications_cache = TTLCache(maxsize=1, ttl=24 * 60 * 60)
+cache_lock = threading.Lock()
+# Ticketmaster serves at most 200 events a page, and nothing past the 1000th result
+max_page_size = 200
+max_results = 1000
+
+
+class UpstreamError(Exception):
+    """An upstream API (Ticketmaster, Google, IPinfo) could not be reached or failed on its side."""
+
+
+class BadRequestError(Exception):
+    """The client sent a parameter the route cannot use."""
+
+
+@app.errorhandler(UpstreamError)
+def upstream_error(e):
+    return jsonify({'error': str(e)}), 502
+
+
+@app.errorhandler(BadRequestError)
+def bad_request(e):
+    return jsonify({'error': str(e)}), 400
+
+
+def upstream_get(url, params=None, service='Ticketmaster'):
+    # 5xx and rate limiting are the caller's cue to retry; other statuses are handled per route
+    try:
+        response = requests.get(url, params=params, timeout=10)
+    except requests.RequestException:
+        raise UpstreamError(service + ' is unreachable')
+    if response.status_code >= 500 or response.status_code == 429:
+        raise UpstreamError(service + ' returned ' + str(response.status_code))
+    return response
+
+
+def cache_get(cache, key):
+    with cache_lock:
+        return cache.get(key)
+
+
+def cache_set(cache, key, value):
+    with cache_lock:
+        cache[key] = value
+
+
+def client_ip():
+    # App Engine's front end appends the address it was connected from to X-Forwarded-For;
+    # anything before that entry was written by the client and can't be trusted
+    forwarded = [entry.strip() for entry in request.headers.get('X-Forwarded-For', '').split(',') if entry.strip()]
+    candidate = forwarded[-1] if forwarded else request.remote_addr
+    try:
+        return str(ipaddress.ip_address(candidate))
+    except ValueError:
+        return None
+
+
+def viewport_radius(viewport):
+    # Half the larger side of the result's viewport, in metres: a city comes back
+    # kilometres wide, a street address a few dozen metres
+    lat_span = viewport['northeast']['lat'] - viewport['southwest']['lat']
+    lon_span = (viewport['northeast']['lng'] - viewport['southwest']['lng']) % 360
+    mid_lat = math.radians((viewport['northeast']['lat'] + viewport['southwest']['lat']) / 2)
+    return round(max(lat_span, lon_span * math.cos(mid_lat)) * 111320 / 2)
+
+
+@app.route('/geocode', methods=['GET'])
+def geocode():
+    address = request.args.get('address', '').strip()
+    if address == '':
+        return jsonify({'error': 'Location not found'}), 404
+    key = ' '.join(address.lower().split())
+
+    location = cache_get(geocode_cache, key)
+    if location is None:
+        response = upstream_get(geocode_url, {'address': address, 'key': google_api}, 'Google Geocoding')
+        data = response.json()
+        if data['status'] == 'ZERO_RESULTS' or (data['status'] == 'OK' and len(data['results']) == 0):
+            location = {}
+        elif data['status'] == 'OK':
+            result = data['results'][0]
+            location = {
+                'lat': result['geometry']['location']['lat'],
+                'lon': result['geometry']['location']['lng'],
+                'address': result['formatted_address'],
+                'accuracy': viewport_radius(result['geometry']['viewport']),
+            }
+        else:
+            raise UpstreamError('Google Geocoding returned ' + data['status'])
+        # Unknown addresses are cached too; they won't start resolving within the TTL
+        cache_set(geocode_cache, key, location)
+
+    if 'lat' not in location:
+        return jsonify({'error': 'Location not found'}), 404
+    return location
+
+
+@app.route('/autocomplete', methods=['GET'])
+def autocomplete():
+    text = request.args.get('input', '').strip()
+    if len(text) < 2:
+        return {'suggestions': []}
+    key = ' '.join(text.lower().split())
+
+    suggestions = cache_get(autocomplete_cache, key)
+    if suggestions is None:
+        response = upstream_get(autocomplete_url, {'input': text, 'types': 'geocode', 'key': google_api}, 'Google Places')
+        data = response.json()
+        if data['status'] not in ('OK', 'ZERO_RESULTS'):
+            raise UpstreamError('Google Places returned ' + data['status'])
+        suggestions = [prediction['description'] for prediction in data.get('predictions', [])]
+        cache_set(autocomplete_cache, key, suggestions)
+
+    return {'suggestions': suggestions}
+
+
+@app.route('/locate', methods=['GET'])
+def locate():
+    ip = client_ip()
+    if ip is None:
+        return jsonify({'error': 'Location not found'}), 404
+
+    location = cache_get(ip_cache, ip)
+    if location is None:
+        # Colons are left as they are for IPv6; a validated address holds nothing else to escape
+        response = upstream_get(ipinfo_url + requests.utils.quote(ip, safe=':') + '/json', {'token': loc_key}, 'IPinfo')
+        data = response.json()
+        location = {}
+        # Private and reserved addresses come back without a position
+        if 'loc' in data.keys():
+            location['lat'] = float(data['loc'].split(',')[0])
+            location['lon'] = float(data['loc'].split(',')[1])
+            location['city'] = data.get('city', '')
+        cache_set(ip_cache, ip, location)
+
+    if 'lat' not in location:
+        return jsonify({'error': 'Location not found'}), 404
+    return location
+
+
+@app.route('/suggest', methods=['GET'])
+def suggest():
+    keyword = request.args.get('keyword', '').strip()
+    if len(keyword) < 2:
+        return {'suggestions': []}
+    key = ' '.join(keyword.lower().split())
+
+    suggestions = cache_get(suggest_cache, key)
+    if suggestions is None:
+        response = upstream_get(suggest_url, {'apikey': key_ticketMaster, 'keyword': keyword, 'size': 5})
+        embedded = response.json().get('_embedded', {})
+        suggestions = []
+        for attraction in embedded.get('attractions', []):
+            suggestions.append({'type': 'attraction', 'id': attraction['id'], 'name': attraction['name']})
+        for event in embedded.get('events', []):
+            temp = {'type': 'event', 'id': event['id'], 'name': event['name']}
+            if 'localDate' in event.get('dates', {}).get('start', {}).keys():
+                temp['detail'] = event['dates']['start']['localDate']
+            suggestions.append(temp)
+        for venue in embedded.get('venues', []):
+            temp = {'type': 'venue', 'id': venue['id'], 'name': venue['name']}
+            if 'city' in venue.keys():
+                temp['detail'] = venue['city']['name']
+            suggestions.append(temp)
+        cache_set(suggest_cache, key, suggestions)
+
+    return {'suggestions': suggestions}
+
+
+def named_items(items):
+    # Ticketmaster files unclassified entries under a literal "Undefined"; they're no use as a filter
+    return sorted([item for item in items if item['name'] != 'Undefined'], key=lambda item: item['name'])
+
+
+@app.route('/classifications', methods=['GET'])
+def classifications():
+    segments = cache_get(classifications_cache, 'segments')
+    if segments is None:
+        segments = []
+        page = 0
+        total_pages = 1
+        while page < total_pages:
+            response = upstream_get(classifications_url, {'apikey': key_ticketMaster, 'size': 100, 'page': page})
+            data = response.json()
+            total_pages = min(data.get('page', {}).get('totalPages', 1), 10)
+            for classification in data.get('_embedded', {}).get('classifications', []):
+                # Entries without a segment are product types (parking, upsells), not event categories
+                if 'segment' not in classification.keys():
+                    continue
+                segment = classification['segment']
+                genres = []
+                for genre in segment.get('_embedded', {}).get('genres', []):
+                    subgenres = [{'id': subgenre['id'], 'name': subgenre['name']}
+                                 for subgenre in genre.get('_embedded', {}).get('subgenres', [])]
+                    genres.append({'id': genre['id'], 'name': genre['name'], 'subgenres': named_items(subgenres)})
+                segments.append({'id': segment['id'], 'name': segment['name'], 'genres': named_items(genres)})
+            page += 1
+        segments = named_items(segments)
+        cache_set(classifications_cache, 'segments', segments)
+
+    return {'segments': segments}
+
+
+def paging_args(default_size):
+    # page and size from the query string, with size clamped to what Ticketmaster will serve
+    try:
+        page = int(request.args.get('page', 0))
+        size = int(request.args.get('size', default_size))
+    except ValueError:
+        raise BadRequestError('page and size must be whole numbers')
+    if page < 0 or size < 1:
+        raise BadRequestError('page must be 0 or more and size at least 1')
+    size = min(size, max_page_size)
+    if (page + 1) * size > max_results:
+        raise BadRequestError('Only the first ' + str(max_results) + ' results can be paged through')
+    return page, size
+
+
+def page_summary(data, size):
+    # Page metadata. Ticketmaster refuses deep pages (page * size must stay under 1000),
+    # so only advertise the pages it will actually serve.
+    page_info = {}
+    if 'page' in data.keys():
+        page_info['number'] = data['page']['number']
+        page_info['size'] = data['page']['size']
+        page_info['totalElements'] = data['page']['totalElements']
+        page_info['totalPages'] = min(data['page']['totalPages'], max_results // size)
+    return page_info
+
+
+def classification_path(classification):
+    # "Music | Rock | Pop" from segment down to sub-type, skipping the levels Ticketmaster left "Undefined"
+    levels = ['segment', 'genre', 'subGenre', 'type', 'subType']
+    names = [classification[level]['name'] for level in levels if level in classification.keys()]
+    return ' | '.join([name for name in names if name != 'Undefined'])
+
+
+def attraction_summary(attraction):
+    # One act of an event's lineup, with what the artist panel shows
+    ret = {'id': attraction['id'], 'name': attraction['name']}
+    if 'url' in attraction.keys():
+        ret['url'] = attraction['url']
+    if 'images' in attraction.keys():
+        ret['image'] = attraction['images'][0]['url']
+    if 'classifications' in attraction.keys():
+        ret['classification'] = classification_path(attraction['classifications'][0])
+    # Ticketmaster lists each site (homepage, youtube, spotify, ...) as a list of urls; the first will do
+    links = attraction.get('externalLinks', {})
+    ret['links'] = [{'type': site, 'url': links[site][0]['url']} for site in links.keys() if links[site]]
+    return ret
+
+
+def event_summary(event):
+    # One row of an event list, as the results table and the venue card show it
+    temp = {}
+    temp['id'] = event['id']
+    temp['date'] = event['dates']['start']['localDate']
+    if 'localTime' in event['dates']['start'].keys():
+        temp['time'] = event['dates']['start']['localTime']
+    if 'timezone' in event['dates'].keys():
+        temp['timezone'] = event['dates']['timezone']
+    temp['icon'] = event['images'][0]['url']
+    temp['event'] = event['name']
+    temp['url'] = event['url']
+    temp['genre'] = event['classifications'][0]['segment']['name']
+    temp['venue'] = event['_embedded']['venues'][0]['name']
+    temp['venue_id'] = event['_embedded']['venues'][0]['id']
+    if 'location' in event['_embedded']['venues'][0].keys():
+        temp['lat'] = float(event['_embedded']['venues'][0]['location']['latitude'])
+        temp['lon'] = float(event['_embedded']['venues'][0]['location']['longitude'])
+    return temp
+
 
 @app.route('/get_search_results', methods=['GET'])
 def search():    
     keyword = request.args['keyword']
     distance = request.args['distance']
-    segmentID = request.args['segmentID']
+    unit = request.args.get('unit', 'miles')
+    if unit not in ('miles', 'km'):
+        unit = 'miles'
+    segmentID = request.args.get('segmentID', '')
+    genreID = request.args.get('genreID', '')
+    subGenreID = request.args.get('subGenreID', '')
+    # ISO 8601 UTC instants (2023-05-01T07:00:00Z), already converted from local days by the client
+    startDateTime = request.args.get('startDateTime', '')
+    endDateTime = request.args.get('endDateTime', '')
+    # The client sizes the geohash to how accurately it knows its position
     geoHash = request.args['geoHash']
-    geoHash = geoHash[0:6]
+    page, size = paging_args(20)
 
-    stri = api_url + 'keyword=' + keyword + '&segmentID=' + segmentID + '&radius=' + str(distance) + '&unit=miles&geoPoint=' + geoHash
-    response = requests.get(stri)
+    params = {
+        'apikey': key_ticketMaster, 'keyword': keyword, 'radius': distance,
+        'unit': unit, 'geoPoint': geoHash, 'page': page, 'size': size,
+    }
+    # "default" is the category picker's "all categories"
+    if segmentID and segmentID != 'default':
+        params['segmentId'] = segmentID
+    if genreID:
+        params['genreId'] = genreID
+    if subGenreID:
+        params['subGenreId'] = subGenreID
+    if startDateTime:
+        params['startDateTime'] = startDateTime
+    if endDateTime:
+        params['endDateTime'] = endDateTime
+    response = upstream_get(events_url, params)
     data = response.json()
     response_dump = json.dumps(data)
     response_load = json.loads(response_dump)
 
     key = '_embedded'
 
-    size = data['page']['size']
+    page_info = page_summary(data, size)
     
     if key in data.keys():
         ret = {}
-        temp_list = []
-        data2 = data[key]['events']
-        
-        for event in data2:
-            temp = {}
-            temp['id'] = event['id']
-            temp['date'] = event['dates']['start']['localDate']
-            if 'localTime' in event['dates']['start'].keys():
-                temp['time'] = event['dates']['start']['localTime']
-            temp['icon'] = event['images'][0]['url']
-            temp['event'] = event['name']
-            temp['genre'] = event['classifications'][0]['segment']['name']
-            temp['venue'] = event['_embedded']['venues'][0]['name']
-
-            temp_list.append(temp)
-
-        ret['events'] = temp_list
+        ret['events'] = [event_summary(event) for event in data[key]['events']]
+        ret['page'] = page_info
         return ret
     else:
-        return {'events': 0}
+        return {'events': 0, 'page': page_info}
 
 @app.route('/get_card1', methods=['GET'])
 def card1():
     id = request.args['id']
-    s = 'https://app.ticketmaster.com/discovery/v2/events/' + id + '?apikey=' + key_ticketMaster + '&'
-
-    response = requests.get(s)
+    response = upstream_get(event_url + requests.utils.quote(id, safe=''), {'apikey': key_ticketMaster})
     data = response.json()
     response_dump = json.dumps(data)
     response_load = json.loads(response_dump)
@@ -71,6 +368,7 @@ def card1():
         ret = {}
         temp_list = []
 
+        ret['id'] = data['id']
         # Title
         ret['title'] = data['name']
         # Date
@@ -78,28 +376,27 @@ def card1():
         # Time
         if 'localTime' in data['dates']['start'].keys(): 
             ret['time'] = data['dates']['start']['localTime']
-        # Artist/Team
+        if 'timezone' in data['dates'].keys():
+            ret['timezone'] = data['dates']['timezone']
+        # Artist/Team, the whole lineup
         if 'attractions' in data['_embedded'].keys():
-            ret['artist_team'] = data['_embedded']['attractions'][0]['name']
+            ret['attractions'] = [attraction_summary(attraction) for attraction in data['_embedded']['attractions']]
         ret['url'] = data['url']
-        # Venue
+        # Icon
+        if 'images' in data.keys():
+            ret['icon'] = data['images'][0]['url']
+        # Venue, with its id for the venue card
         ret['venue'] = data['_embedded']['venues'][0]['name']
+        ret['venue_id'] = data['_embedded']['venues'][0]['id']
         # Genre
-        g = ""
-        if 'segment' in data['classifications'][0].keys() and data['classifications'][0]['segment']['name'] != "Undefined":
-            g += data['classifications'][0]['segment']['name']
-        if 'genre' in data['classifications'][0].keys() and data['classifications'][0]['genre']['name'] != "Undefined":
-            g += ' | ' + data['classifications'][0]['genre']['name']
-        if 'subGenre' in data['classifications'][0].keys() and data['classifications'][0]['subGenre']['name'] != "Undefined":
-            g += ' | ' + data['classifications'][0]['subGenre']['name']
-        if 'type' in data['classifications'][0].keys() and data['classifications'][0]['type']['name'] != "Undefined":
-            g += ' | ' + data['classifications'][0]['type']['name']
-        if 'subType' in data['classifications'][0].keys() and data['classifications'][0]['subType']['name'] != "Undefined":
-            g += ' | ' + data['classifications'][0]['subType']['name']
-        ret['genre'] = g
-        # Price Ranges
-        if 'priceranges' in data.keys():
-            p = str(data['priceRanges'][0]['min']) + '-' + str(data['priceRanges'][0]['max']) + ' ' + data['priceRanges'][0]['currency']
+        ret['genre'] = classification_path(data['classifications'][0])
+        # Price Ranges, left as numbers so the client can format them for its locale
+        if 'priceRanges' in data.keys():
+            p = {'currency': data['priceRanges'][0]['currency']}
+            if 'min' in data['priceRanges'][0].keys():
+                p['min'] = data['priceRanges'][0]['min']
+            if 'max' in data['priceRanges'][0].keys():
+                p['max'] = data['priceRanges'][0]['max']
             ret['price_ranges'] = p
         # Ticket Status
         ret['ticket_status'] = data['dates']['status']['code']
@@ -114,51 +411,83 @@ def card1():
         temp_list.append(ret)
         t['card1'] = temp_list
         return t
+    return jsonify({'error': 'Event not found'}), 404
     
 @app.route('/get_card2', methods=['GET'])
 def card2():
-    keyword = request.args['keyword']
-    s = 'https://app.ticketmaster.com/discovery/v2/venues?apikey=' + key_ticketMaster + '&keyword=' + keyword
-    response = requests.get(s)
-    data = response.json()
-    response_dump = json.dumps(data)
-    response_load = json.loads(response_dump)
-    if "_embedded" in data.keys():
+    # Looked up by id: a name search can land on another venue of the same name
+    id = request.args['id']
+    response = upstream_get(venue_url + requests.utils.quote(id, safe=''), {'apikey': key_ticketMaster})
+    venue = response.json()
+    if 'name' in venue.keys():
         ret = {}
-        temp_list = []
-        
+        ret['id'] = venue['id']
+
         # Title
-        ret['venue'] = data['_embedded']['venues'][0]['name']
+        ret['venue'] = venue['name']
 
         # Logo
-        if 'images' in data['_embedded']['venues'][0].keys(): 
-            ret['logo'] = data['_embedded']['venues'][0]['images'][0]['url']
+        if 'images' in venue.keys(): 
+            ret['logo'] = venue['images'][0]['url']
         else:
             ret['logo'] = 'nologo'
 
         # Address
-        if 'address' in data['_embedded']['venues'][0].keys():
-            ret['address'] = data['_embedded']['venues'][0]['address']['line1'] 
+        if 'address' in venue.keys():
+            ret['address'] = venue['address']['line1'] 
 
         # City
-        if 'city' in data['_embedded']['venues'][0]:
-            ret['city'] = data['_embedded']['venues'][0]['city']['name']
+        if 'city' in venue:
+            ret['city'] = venue['city']['name']
 
         # StateCode
-        if 'state' in data['_embedded']['venues'][0].keys() and 'stateCode' in data['_embedded']['venues'][0]['state'].keys():
-            ret['stateCode'] = data['_embedded']['venues'][0]['state']['stateCode']
+        if 'state' in venue.keys() and 'stateCode' in venue['state'].keys():
+            ret['stateCode'] = venue['state']['stateCode']
 
         # Postal Code
-        if 'postalCode' in data['_embedded']['venues'][0].keys(): 
-            ret['postal_code'] = data['_embedded']['venues'][0]['postalCode']
+        if 'postalCode' in venue.keys(): 
+            ret['postal_code'] = venue['postalCode']
 
-        # Upcoming Events
-        if 'url' in data['_embedded']['venues'][0].keys(): 
-            ret['url'] = data['_embedded']['venues'][0]['url']
+        # Venue page on Ticketmaster
+        if 'url' in venue.keys(): 
+            ret['url'] = venue['url']
 
         # Google Map Location 
-        ret['map'] = 'https://www.google.com/maps/search/?api=' + google_api + '&query=' + ret['venue']
+        ret['map'] = 'https://www.google.com/maps/search/?api=1&query=' + requests.utils.quote(ret['venue'])
         return ret
+    return jsonify({'error': 'Venue not found'}), 404
+
+@app.route('/get_venue_events', methods=['GET'])
+def venue_events():
+    id = request.args['id']
+    page, size = paging_args(5)
+    response = upstream_get(events_url, {
+        'apikey': key_ticketMaster, 'venueId': id, 'sort': 'date,asc', 'page': page, 'size': size,
+    })
+    data = response.json()
+    events = []
+    if '_embedded' in data.keys():
+        events = [event_summary(event) for event in data['_embedded']['events']]
+    return {'events': events, 'page': page_summary(data, size)}
+
+@app.route('/get_attraction_events', methods=['GET'])
+def attraction_events():
+    id = request.args['id']
+    page, size = paging_args(5)
+    params = {'apikey': key_ticketMaster, 'attractionId': id, 'sort': 'date,asc', 'page': page, 'size': size}
+    # Near the current search when there is one, otherwise everywhere
+    geoHash = request.args.get('geoHash', '')
+    if geoHash:
+        unit = request.args.get('unit', 'miles')
+        if unit not in ('miles', 'km'):
+            unit = 'miles'
+        params.update({'geoPoint': geoHash, 'radius': request.args.get('distance', 10), 'unit': unit})
+    response = upstream_get(events_url, params)
+    data = response.json()
+    events = []
+    if '_embedded' in data.keys():
+        events = [event_summary(event) for event in data['_embedded']['events']]
+    return {'events': events, 'page': page_summary(data, size)}
 
 @app.route('/')
 def hello():
@@ -0,0 +1,11 @@
+// Backend settings for the events UI.
+//   baseUrl  - Flask server the API client talks to ("" = same origin as the page).
+//   fixtures - serve the recorded responses in static/fixtures instead of calling the backend.
+//   debug    - show the response cache hit/miss readout.
+// Each can be overridden per page load with ?api=http://127.0.0.1:5000, ?fixtures=1 or ?debug=1.
+var API_CONFIG = {
+  baseUrl: "",
+  fixtures: false,
+  fixturePath: "fixtures/",
+  debug: false,
+};
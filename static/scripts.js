@@ -240,60 +240,594 @@ class Geohash {
   }
 }
 
+const earthRadius = { mi: 3958.8, km: 6371.0 }; // mean radius
+const kmPerMile = 1.609344;
+const compassPoints = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+class LatLon {
+  /**
+   * Returns the great-circle distance between two points, using the haversine formula.
+   *
+   * @param   {{lat:number, lon:number}} from - Start point, in degrees.
+   * @param   {{lat:number, lon:number}} to - End point, in degrees.
+   * @param   {string} [unit=mi] - "mi" or "km".
+   * @returns {number} Distance between the points in the given unit.
+   *
+   * @example
+   *     const d = LatLon.distance({ lat: 52.205, lon: 0.119 }, { lat: 48.857, lon: 2.351 }, "km"); // => 404.3
+   */
+  static distance(from, to, unit = "mi") {
+    const φ1 = (from.lat * Math.PI) / 180;
+    const φ2 = (to.lat * Math.PI) / 180;
+    const Δφ = ((to.lat - from.lat) * Math.PI) / 180;
+    const Δλ = ((to.lon - from.lon) * Math.PI) / 180;
+
+    const a =
+      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return earthRadius[unit] * c;
+  }
+
+  /**
+   * Returns the initial bearing (forward azimuth) from one point towards another.
+   *
+   * @param   {{lat:number, lon:number}} from - Start point, in degrees.
+   * @param   {{lat:number, lon:number}} to - End point, in degrees.
+   * @returns {number} Bearing in degrees clockwise from north, 0 to 360.
+   *
+   * @example
+   *     const b = LatLon.bearing({ lat: 52.205, lon: 0.119 }, { lat: 48.857, lon: 2.351 }); // => 156.2
+   */
+  static bearing(from, to) {
+    const φ1 = (from.lat * Math.PI) / 180;
+    const φ2 = (to.lat * Math.PI) / 180;
+    const Δλ = ((to.lon - from.lon) * Math.PI) / 180;
+
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const θ = Math.atan2(y, x);
+
+    return ((θ * 180) / Math.PI + 360) % 360;
+  }
+
+  /**
+   * Returns the 8-point compass direction for a bearing.
+   *
+   * @param   {number} bearing - Bearing in degrees.
+   * @returns {string} One of N, NE, E, SE, S, SW, W, NW.
+   */
+  static compassPoint(bearing) {
+    return compassPoints[Math.round(bearing / 45) % 8];
+  }
+}
+
 var prev_venue = "";
 
-loc_key = "";
-google_api = "";
-key_ticketMaster = "";
+// Paging state for the results table
+const pageSize = 20;
+var lastSearch;
+var loadingMore = false;
+var tableSort = []; // active sort keys [{col, direction}], re-applied to new pages
+var searchOrigin; // {lat, lon} the current search was made from
+var distanceUnit = "mi";
+
+// Shared client for the Flask backend. Base URL and fixture mode come from API_CONFIG (config.js).
+var apiConfig = Object.assign(
+  { baseUrl: "", fixtures: false, fixturePath: "fixtures/", debug: false },
+  typeof API_CONFIG == "undefined" ? {} : API_CONFIG
+);
+
+// ?api= is for pointing a local page at a local backend. Anywhere else it is ignored: a
+// shared link must not be able to send searches and locations to, or take events from,
+// another host.
+const localHostnames = ["localhost", "127.0.0.1", "[::1]"];
+
+function isLocalUrl(value) {
+  try {
+    return localHostnames.indexOf(new URL(value, window.location.href).hostname) != -1;
+  } catch (e) {
+    return false;
+  }
+}
 
-async function getFromIP() {
-  return await fetch("https://ipinfo.io/json?token=" + loc_key)
-    .then((response) => response.json())
-    .then((data) => {
-      var lat = data["loc"].split(",")[0];
-      var lon = data["loc"].split(",")[1];
+(function () {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("api") && isLocalUrl(window.location.href) && isLocalUrl(params.get("api"))) {
+    apiConfig.baseUrl = params.get("api");
+  }
+  if (params.has("fixtures")) {
+    apiConfig.fixtures = params.get("fixtures") != "0";
+  }
+  if (params.has("debug")) {
+    apiConfig.debug = params.get("debug") != "0";
+  }
+})();
+
+// Errors the UI knows how to explain. `transient` ones are worth retrying. `key` names the
+// message in the string table, so it is shown (and redrawn) in the current language.
+class AppError extends Error {
+  constructor(key, transient) {
+    super(t(key));
+    this.name = this.constructor.name;
+    this.key = key;
+    this.transient = transient == true;
+  }
+}
 
-      return [lat, lon];
-    });
+class LocationNotFoundError extends AppError {
+  constructor(key) {
+    super(key || "locationNotFound");
+  }
 }
 
-async function getFromLocation(loc) {
-  return await fetch(
-    "https://maps.googleapis.com/maps/api/geocode/json?address=" +
-      loc +
-      "&key=" +
-      google_api
-  )
-    .then((response) => response.json())
-    .then((data) => {
-      var lat = data["results"][0]["geometry"]["location"]["lat"];
-      var lon = data["results"][0]["geometry"]["location"]["lng"];
+class LocationServiceError extends AppError {
+  constructor(transient) {
+    super("locationServiceDown", transient);
+  }
+}
 
-      return [lat, lon];
-    });
+class NoEventsError extends AppError {
+  constructor() {
+    super("noRecords");
+  }
+}
+
+// The backend's 404 messages, as string table keys
+const backendNotFound = {
+  "Event not found": "eventNotFound",
+  "Venue not found": "venueNotFound",
+  "Location not found": "locationNotFound",
+};
+
+class BackendError extends AppError {
+  constructor(status, message) {
+    super(
+      status == 404 ? backendNotFound[message] || "notFound" : "eventsServiceDown",
+      status == undefined || status >= 500 || status == 429
+    );
+    this.status = status;
+  }
+}
+
+// GETs JSON from the backend, turning network failures and error statuses into
+// BackendErrors. Aborts pass through untouched.
+async function fetchJSON(url, signal) {
+  let response;
+  try {
+    response = await fetch(url, { method: "GET", signal: signal });
+  } catch (e) {
+    if (isAbort(e)) {
+      throw e;
+    }
+    throw new BackendError();
+  }
+  if (!response.ok) {
+    let body = {};
+    try {
+      body = await response.json();
+    } catch (e) {
+      // Not a JSON error body
+    }
+    throw new BackendError(response.status, body["error"]);
+  }
+  return await response.json();
+}
+
+// Retries transient failures, waiting a little longer before each new attempt
+const retryDelays = [500, 1500];
+
+async function withRetry(attempt, signal) {
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt();
+    } catch (e) {
+      if (!e.transient || i >= retryDelays.length || (signal && signal.aborted)) {
+        throw e;
+      }
+      await sleep(retryDelays[i], signal);
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new DOMException("Request cancelled", "AbortError"));
+        },
+        { once: true }
+      );
+    }
+  });
+}
+
+// Inline message for a request slot (#searchError, #detailsError, ...). No events is shown
+// the way the table always has, in place of the results.
+function showError(slot, error) {
+  if (error instanceof NoEventsError) {
+    tableD = { events: 0 };
+    populateTable(tableD);
+    return;
+  }
+  if (!(error instanceof AppError)) {
+    error = new BackendError();
+  }
+  if (slot == "search") {
+    clearTable();
+  }
+  const box = document.getElementById(slot + "Error");
+  if (box) {
+    box.innerText = t(error.key);
+    box.hidden = false;
+    shownErrors[slot] = error;
+  }
+}
+
+function clearError(slot) {
+  const box = document.getElementById(slot + "Error");
+  if (box) {
+    box.hidden = true;
+  }
+  delete shownErrors[slot];
+}
+
+// Messages still on screen, redrawn in the new language by setLocale
+var shownErrors = {};
+
+function redrawErrors() {
+  for (const slot in shownErrors) {
+    const box = document.getElementById(slot + "Error");
+    if (box && !box.hidden) {
+      box.innerText = t(shownErrors[slot].key);
+    }
+  }
+}
+
+// Request parameter that selects the recorded response inside a fixture file. A list
+// walks nested recordings, outermost parameter first.
+const fixtureKeys = {
+  "/get_card1": "id",
+  "/get_card2": "id",
+  "/get_venue_events": ["id", "page"],
+  "/get_attraction_events": ["id", "page"],
+  "/get_search_results": "page",
+  "/geocode": "address",
+  "/autocomplete": "input",
+  "/suggest": "keyword",
+};
+var fixtureFiles = {};
+
+function apiUrl(path, params) {
+  const query = new URLSearchParams(params || {}).toString();
+  return apiConfig.baseUrl.replace(/\/$/, "") + path + (query ? "?" + query : "");
+}
+
+async function apiGet(path, params, signal) {
+  const key = (apiConfig.fixtures ? "fixture:" : "") + apiUrl(path, params);
+  return cachedRequest(
+    key,
+    cacheTTL[path],
+    (fetchSignal) =>
+      withRetry(() => {
+        if (apiConfig.fixtures) {
+          return getFixture(path, params || {});
+        }
+        return fetchJSON(apiUrl(path, params), fetchSignal);
+      }, fetchSignal),
+    signal
+  );
+}
+
+// Response cache shared by the backend and location lookups. Entries live in memory and in
+// sessionStorage (so they survive a reload) until their endpoint's TTL runs out, and
+// identical requests already in flight share one fetch. Values are stored as JSON text
+// so every caller gets its own copy to mutate.
+const cacheTTL = {
+  "/get_search_results": 5 * 60 * 1000,
+  "/get_card1": 10 * 60 * 1000,
+  "/get_card2": 60 * 60 * 1000,
+  "/get_venue_events": 10 * 60 * 1000,
+  "/get_attraction_events": 10 * 60 * 1000,
+  "/geocode": 24 * 60 * 60 * 1000,
+  "/autocomplete": 60 * 60 * 1000,
+  "/suggest": 60 * 60 * 1000,
+  "/locate": 30 * 60 * 1000,
+  "/classifications": 24 * 60 * 60 * 1000,
+};
+const defaultCacheTTL = 5 * 60 * 1000;
+const cachePrefix = "apiCache:";
+var memoryCache = {};
+var inflightRequests = {};
+var cacheStats = { memory: 0, session: 0, shared: 0, misses: 0 };
+
+async function cachedRequest(key, ttl, load, signal) {
+  const cached = readCache(key);
+  if (cached != undefined) {
+    updateCacheDebug();
+    return JSON.parse(cached);
+  }
+
+  if (key in inflightRequests) {
+    cacheStats.shared++;
+  } else {
+    cacheStats.misses++;
+    const entry = { key: key, controller: new AbortController(), waiters: 0 };
+    entry.promise = load(entry.controller.signal)
+      .then((value) => {
+        const text = JSON.stringify(value);
+        writeCache(key, text, ttl == undefined ? defaultCacheTTL : ttl);
+        return text;
+      })
+      .finally(() => {
+        if (inflightRequests[key] == entry) {
+          delete inflightRequests[key];
+        }
+      });
+    // Nobody may be left waiting when it fails
+    entry.promise.catch(() => {});
+    inflightRequests[key] = entry;
+  }
+  updateCacheDebug();
+  return JSON.parse(await waitForRequest(inflightRequests[key], signal));
+}
+
+// Resolves with the shared request, or rejects with an AbortError as soon as `signal` aborts.
+// The shared fetch itself is only aborted once every caller waiting on it has given up.
+function waitForRequest(entry, signal) {
+  entry.waiters++;
+  if (signal == undefined) {
+    return entry.promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.waiters--;
+      if (entry.waiters == 0) {
+        entry.controller.abort();
+        if (inflightRequests[entry.key] == entry) {
+          delete inflightRequests[entry.key];
+        }
+      }
+      reject(new DOMException("Request cancelled", "AbortError"));
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    entry.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// One AbortController per kind of request ("search", "more", "details", "venue"). Starting a
+// request cancels the one it replaces, so a slow older response can never overwrite a newer one.
+var requestControllers = {};
+
+function startRequest(slot) {
+  cancelRequest(slot);
+  clearError(slot);
+  const controller = new AbortController();
+  requestControllers[slot] = controller;
+  setLoading(slot, true);
+  return controller.signal;
+}
+
+function finishRequest(slot, signal) {
+  if (requestControllers[slot] != undefined && requestControllers[slot].signal == signal) {
+    delete requestControllers[slot];
+    setLoading(slot, false);
+  }
+}
+
+function cancelRequest(slot) {
+  if (requestControllers[slot] != undefined) {
+    requestControllers[slot].abort();
+    delete requestControllers[slot];
+    setLoading(slot, false);
+  }
+}
+
+function isAbort(error) {
+  return error != undefined && error.name == "AbortError";
+}
+
+// Loading indicator for a slot, e.g. #searchLoading
+function setLoading(slot, on) {
+  const indicator = document.getElementById(slot + "Loading");
+  if (indicator) {
+    indicator.hidden = !on;
+  }
+}
+
+function readCache(key) {
+  const now = Date.now();
+  if (key in memoryCache) {
+    if (memoryCache[key].expires > now) {
+      cacheStats.memory++;
+      return memoryCache[key].text;
+    }
+    delete memoryCache[key];
+  }
+
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(cachePrefix + key));
+    if (stored != null) {
+      if (stored.expires > now) {
+        memoryCache[key] = stored;
+        cacheStats.session++;
+        return stored.text;
+      }
+      sessionStorage.removeItem(cachePrefix + key);
+    }
+  } catch (e) {
+    // sessionStorage unavailable or entry unreadable: treat as a miss
+  }
+  return undefined;
+}
+
+function writeCache(key, text, ttl) {
+  const entry = { text: text, expires: Date.now() + ttl };
+  memoryCache[key] = entry;
+  try {
+    sessionStorage.setItem(cachePrefix + key, JSON.stringify(entry));
+  } catch (e) {
+    // Quota exceeded: the memory copy still serves this page
+  }
+}
+
+// Hit/miss readout, shown with ?debug=1 or API_CONFIG.debug
+function updateCacheDebug() {
+  const readout = document.getElementById("cacheDebug");
+  if (!apiConfig.debug || readout == null) {
+    return;
+  }
+  const hits = cacheStats.memory + cacheStats.session + cacheStats.shared;
+  readout.innerText =
+    "cache: " +
+    hits +
+    " hits (" +
+    cacheStats.memory +
+    " memory, " +
+    cacheStats.session +
+    " session, " +
+    cacheStats.shared +
+    " shared in-flight) / " +
+    cacheStats.misses +
+    " misses";
+  readout.style.display = "block";
+}
+
+document.addEventListener("DOMContentLoaded", updateCacheDebug);
+
+async function loadFixture(name) {
+  if (!(name in fixtureFiles)) {
+    let response = await fetch(apiConfig.fixturePath + name + ".json");
+    fixtureFiles[name] = await response.json();
+  }
+  return fixtureFiles[name];
+}
+
+async function getFixture(path, params) {
+  let fixture = await loadFixture(path.replace(/^\//, ""));
+  // Unknown ids fall back to the first recording so every click still renders something
+  for (const key of [].concat(fixtureKeys[path] || [])) {
+    fixture = params[key] in fixture ? fixture[params[key]] : fixture[Object.keys(fixture)[0]];
+  }
+  return fixture;
+}
+
+// Geocoding and IP lookup go through our own backend, which holds the API keys.
+// Both resolve to {lat, lon, ...}: /locate adds the city, /geocode the formatted address
+// and an accuracy radius in metres.
+async function getFromIP(signal) {
+  try {
+    return await apiGet("/locate", {}, signal);
+  } catch (e) {
+    throw locationError(e, "locationNotDetected");
+  }
+}
+
+async function getFromLocation(loc, signal) {
+  try {
+    return await apiGet("/geocode", { address: loc.trim() }, signal);
+  } catch (e) {
+    throw locationError(e);
+  }
+}
+
+// Backend failures of the location routes, as the location errors the form explains
+function locationError(error, notFoundKey) {
+  if (!(error instanceof BackendError)) {
+    return error;
+  }
+  if (error.status == 404) {
+    return new LocationNotFoundError(notFoundKey);
+  }
+  return new LocationServiceError(error.transient);
+}
+
+// Safe DOM building. Strings from the API only ever become text nodes or checked attribute
+// values, never markup: el() adds string children as text, and URL attributes (href, src)
+// are dropped unless they are http(s). Event handlers are set as properties, not attributes.
+const urlAttributes = ["href", "src"];
+
+function safeUrl(value) {
+  try {
+    const url = new URL(value, window.location.href);
+    return url.protocol == "http:" || url.protocol == "https:" ? url.href : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function el(tag, attributes, children) {
+  const element = document.createElement(tag);
+  for (const name in attributes) {
+    let value = attributes[name];
+    if (urlAttributes.indexOf(name) != -1) {
+      value = safeUrl(value);
+    }
+    if (/^on/i.test(name)) {
+      throw new Error("el(): set " + name + " as a property, not an attribute");
+    }
+    if (value != undefined) {
+      element.setAttribute(name, value);
+    }
+  }
+  [].concat(children == undefined ? [] : children).forEach((child) => {
+    if (child == undefined) {
+      return;
+    }
+    element.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+  });
+  return element;
+}
+
+// A link opening in a new tab; just the text when the URL isn't http(s)
+function externalLink(url, text) {
+  return el("a", { href: url, target: "_blank", rel: "noopener noreferrer" }, text);
 }
 
 async function getDetails(sp) {
-  st = "https://webtechhw6-378807.wl.r.appspot.com/get_card1?" + "id" + "=" + sp;
-  let response = await fetch(st, {
-    method: "GET",
-    // mode: "no-cors",
-    // credentials: 'include',
-    // headers: {
-    //     "Access-Control-Allow-Origin" : "*",
-    //     "Access-Control-Allow-Credentials" : true,
-    // },
-  });
-  data = await response.json();
+  writeUrlState(Object.assign(urlSearchState(), { event: sp }));
+  cancelRequest("venue");
+  const signal = startRequest("details");
+  try {
+    data = await apiGet("/get_card1", { id: sp }, signal);
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("details", e);
+    }
+    return;
+  } finally {
+    finishRequest("details", signal);
+  }
   populateCard1(data);
 }
 
+const ticketStatuses = ["onsale", "offsale", "cancelled", "rescheduled"];
+
+// Any other status code is shown as rescheduled
+function ticketStatusBadge(code) {
+  const status = ticketStatuses.indexOf(code) != -1 ? code : "rescheduled";
+  return el("span", { class: status }, t(status));
+}
+
 async function populateCard1(data) {
 
   let c = document.getElementById("Card1");
   if(c){
     c.remove();
   }
+  cancelRequest("artistEvents");
+  shownAttraction = undefined;
 
   const elements = document.getElementsByClassName("downarrow");
   while (elements.length > 0) {
@@ -309,156 +843,124 @@ async function populateCard1(data) {
     c2.remove();
   }
 
+  const event = data["card1"][0];
   let crd = document.getElementById("crd");
-  let card1 = document.createElement("div");
-  card1.setAttribute("id", "Card1");
+  let card1 = el("div", { id: "Card1", role: "region", "aria-labelledby": "card1Heading" });
 
-  const innerDiv = document.createElement("div");
-  innerDiv.setAttribute("id", "card1InnerDiv");
+  const innerDiv = el("div", { id: "card1InnerDiv" });
   innerDiv.style.padding = "15px";
 
   //Heading
-  const nameDiv = document.createElement("label");
-  nameDiv.setAttribute("id", "card1Heading");
-  nameDiv.innerHTML = data["card1"][0]["title"];
+  // tabindex -1: focus moves here when the card opens, without adding a tab stop
+  const nameDiv = el("h2", { id: "card1Heading", tabindex: "-1" }, event["title"]);
+  nameDiv.appendChild(
+    favoriteButton({
+      id: event["id"],
+      title: event["title"],
+      date: event["date"],
+      time: event["time"],
+      venue: event["venue"],
+      icon: event["icon"],
+      url: event["url"],
+      timezone: event["timezone"],
+    })
+  );
   innerDiv.appendChild(nameDiv);
 
-  const containerDiv = document.createElement("div");
-  containerDiv.setAttribute("id", "containerCard1");
-
-  const leftDiv = document.createElement("div");
-  leftDiv.setAttribute("id", "sectionCard1");
-
-  if (data["card1"][0]["date"] != undefined) {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Date" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-    label2.innerHTML =
-      data["card1"][0]["date"] + " " + data["card1"][0]["time"] + "<br><br>";
-    leftDiv.append(label1);
-    leftDiv.append(label2);
-  }
-
-  if (data["card1"][0]["artist_team"] != undefined) {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Artist/Team" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-    label2.innerHTML =
-      "<a href='" +
-      data["card1"][0]["url"] +
-      "' target='_blank'>" +
-      data["card1"][0]["artist_team"] +
-      "</a><br><br>";
-    leftDiv.append(label1);
-    leftDiv.append(label2);
-  }
-
-  if (data["card1"][0]["venue"] != undefined) {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Venue" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-    label2.innerHTML = data["card1"][0]["venue"] + "<br><br>";
-    leftDiv.append(label1);
-    leftDiv.append(label2);
-  }
-
-  if (data["card1"][0]["genre"] != "") {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Genres" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-    label2.innerHTML = data["card1"][0]["genre"] + "<br><br>";
-    leftDiv.append(label1);
-    leftDiv.append(label2);
-  }
-
-  if (data["card1"][0]["price_ranges"] != undefined) {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Price Ranges" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-    label2.innerHTML = data["card1"][0]["price_ranges"] + "<br><br>";
-    leftDiv.append(label1);
-    leftDiv.append(label2);
-  }
-
-  if (data["card1"][0]["ticket_status"] != undefined) {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Ticket Status" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-
-    if (data["card1"][0]["ticket_status"] == "onsale") {
-      label2.setAttribute("class", "onsale");
-      label2.innerHTML = "On Sale";
-    } else if (data["card1"][0]["ticket_status"] == "offsale") {
-      label2.setAttribute("class", "offsale");
-      label2.innerHTML = "Off Sale";
-    } else if (data["card1"][0]["ticket_status"] == "cancelled") {
-      label2.setAttribute("class", "cancelled");
-      label2.innerHTML = "Cancelled";
-    } else {
-      label2.setAttribute("class", "rescheduled");
-      label2.innerHTML = "Rescheduled";
-    }
-    leftDiv.append(label1);
-    leftDiv.append(label2);
-    leftDiv.innerHTML += "<br><br>";
+  const containerDiv = el("div", { id: "containerCard1" });
+  const leftDiv = el("dl", { id: "sectionCard1" });
+
+  const section = (label, value) => {
+    leftDiv.append(
+      el("dt", { class: "sectionCard1Text1" }, label),
+      el("dd", { class: "sectionCard1Text2" }, value)
+    );
+  };
+
+  if (event["date"] != undefined) {
+    section(t("date"), formatEventDateTime(event["date"], event["time"]));
   }
 
-  if (data["card1"][0]["buy_ticket_at"] != undefined) {
-    const label1 = document.createElement("label");
-    label1.setAttribute("id", "sectionCard1Text1");
-    label1.innerHTML = "Buy Ticket At" + "<br>";
-    const label2 = document.createElement("label");
-    label2.setAttribute("id", "sectionCard1Text2");
-    label2.innerHTML =
-      "<a href='" +
-      data["card1"][0]["buy_ticket_at"] +
-      "' + target='_blank'>TicketMaster</a><br><br>";
-    leftDiv.append(label1);
-    leftDiv.append(label2);
+  if (event["attractions"] != undefined) {
+    section(t("artistTeam"), lineup(event));
   }
 
-  containerDiv.append(leftDiv);
+  if (event["venue"] != undefined) {
+    section(t("venue"), event["venue"]);
+  }
 
-  const rightDiv = document.createElement("div");
-  rightDiv.setAttribute("id", "sectionCard2");
+  if (event["genre"] != "") {
+    section(t("genres"), event["genre"]);
+  }
+
+  if (event["price_ranges"] != undefined) {
+    section(t("priceRanges"), formatPriceRange(event["price_ranges"]));
+  }
+
+  if (event["ticket_status"] != undefined) {
+    section(t("ticketStatus"), ticketStatusBadge(event["ticket_status"]));
+  }
+
+  if (event["buy_ticket_at"] != undefined) {
+    section(t("buyTicketAt"), externalLink(event["buy_ticket_at"], "TicketMaster"));
+  }
 
-  const im = document.createElement("img");
-  im.setAttribute("id", "rightDivImg");
-  im.src = data["card1"][0]["seat_map"];
+  containerDiv.append(leftDiv);
 
-  rightDiv.append(im);
+  const rightDiv = el("div", { id: "sectionCard2" });
+  if (event["seat_map"] != undefined) {
+    rightDiv.append(
+      el("img", { id: "rightDivImg", src: event["seat_map"], alt: t("seatMapOf", { venue: event["venue"] }) })
+    );
+  }
   containerDiv.append(rightDiv);
 
   innerDiv.append(containerDiv);
-  card1.appendChild(innerDiv);
+  innerDiv.append(el("section", { id: "artistPanel", "aria-labelledby": "artistPanelHeading", hidden: "" }));
 
-  const showVenueDetails = document.createElement("label");
-  showVenueDetails.setAttribute("id", "showVenueDetails");
-  showVenueDetails.innerHTML = "Show Venue Details";
+  const calendarButton = el(
+    "button",
+    { type: "button", class: "calendarButton" },
+    t("addToCalendar")
+  );
+  calendarButton.onclick = () => downloadCalendar([event]);
+  innerDiv.append(calendarButton);
 
-  const arrowDiv = document.createElement("div");
-  arrowDiv.setAttribute("class", "downarrow");
-  arrowDiv.setAttribute("id", data["card1"][0]["venue"]);
-  arrowDiv.setAttribute("onclick", "card2(this.id)");
-
-  prev_venue = data["card1"][0]["venue"];
+  card1.appendChild(innerDiv);
 
   crd.append(card1);
-  crd.append(showVenueDetails);
-  crd.append(arrowDiv);
+
+  // The expander is replaced by the venue card once that opens
+  prev_venue = event["venue_id"] || "";
+  if (prev_venue != "") {
+    const showVenueDetails = el(
+      "button",
+      { type: "button", id: "showVenueDetails", "aria-expanded": "false", "aria-controls": "parentcard2" },
+      [t("showVenueDetails"), el("span", { class: "downarrow", "aria-hidden": "true" })]
+    );
+    showVenueDetails.onclick = () => card2(prev_venue);
+    crd.append(showVenueDetails);
+  }
   crd.scrollIntoView();
+  nameDiv.focus({ preventScroll: true });
+}
+
+// The venue's street, "city, state" and postal code, one per line, leaving out whatever
+// Ticketmaster didn't send
+function addressLines(data) {
+  const lines = [
+    data["address"],
+    [data["city"], data["stateCode"]].filter(Boolean).join(", "),
+    data["postal_code"],
+  ].filter(Boolean);
+  const parts = [];
+  lines.forEach((line, i) => {
+    if (i > 0) {
+      parts.push(el("br"));
+    }
+    parts.push(line);
+  });
+  return parts;
 }
 
 async function populateCard2(data) {
@@ -478,88 +980,293 @@ async function populateCard2(data) {
   }
 
   let parent = document.getElementById("parentcard2");
-  let container = document.createElement("div");
-  container.setAttribute("id", "container");
-  let card2div = document.createElement("card2div");
-  card2div.setAttribute("id", "card2div");
-  let h = document.createElement("h1");
-  h.setAttribute("id", "ttle");
-  h.innerText = data["venue"];
-  card2div.appendChild(h);
+  let container = el("div", { id: "container", role: "region", "aria-labelledby": "ttle" });
+  let card2div = el("card2div", { id: "card2div" });
+  const heading = el("h1", { id: "ttle", tabindex: "-1" }, data["venue"]);
+  card2div.appendChild(heading);
   if (data['logo'] != 'nologo'){
-    let photo = document.createElement("div");
-    photo.setAttribute("id", "photo");
-    let i = document.createElement("img");
-    i.setAttribute("src", data['logo'])
-    photo.appendChild(i);
-    card2div.appendChild(photo);
-  }
-  let sections = document.createElement("div");
-  sections.setAttribute("id", "sections");
-  let section1 = document.createElement("div");
-  section1.setAttribute("id", "section1");
-  let subcontainer = document.createElement("div");
-  subcontainer.setAttribute("id", "subcontainer");
-  let sub1 = document.createElement("div");
-  sub1.setAttribute("id", "sub1");
-  let p1 = document.createElement("p");
-  p1.setAttribute("id", "p1");
-  p1.innerText = "Address:";
-  sub1.appendChild(p1);
-  subcontainer.appendChild(sub1);
-  let sub2 = document.createElement("div");
-  sub2.setAttribute("id", "sub2");
-  let p2 = document.createElement("p");
-  p2.setAttribute("id", "p2");
-  p2.innerHTML =
-    data["address"] +
-    "<br>" +
-    data["city"] +
-    ", " +
-    data["stateCode"] +
-    "<br>" +
-    data["postal_code"];
-  sub2.appendChild(p2);
-  subcontainer.appendChild(sub2);
+    card2div.appendChild(el("div", { id: "photo" }, el("img", { src: data["logo"], alt: "" })));
+  }
+  let sections = el("div", { id: "sections" });
+  let section1 = el("div", { id: "section1" });
+  let subcontainer = el("div", { id: "subcontainer" });
+  subcontainer.appendChild(el("div", { id: "sub1" }, el("p", { id: "p1" }, t("address"))));
+  subcontainer.appendChild(
+    el(
+      "div",
+      { id: "sub2" },
+      el("p", { id: "p2" }, addressLines(data))
+    )
+  );
   section1.appendChild(subcontainer);
-  let an = document.createElement("a");
+  const an = externalLink(data["map"], t("openInMaps"));
   an.setAttribute("class", "an");
-  an.href = data["map"];
-  an.innerText = "Open in Google Maps";
-  an.setAttribute("target", "_blank");
   section1.appendChild(an);
   sections.appendChild(section1);
-  let section2 = document.createElement("div");
-  section2.setAttribute("id", "section2");
-  let an2 = document.createElement("a");
+  const an2 = externalLink(data["url"], t("moreEventsAtVenue"));
   an2.setAttribute("class", "an");
-  an2.href = data["url"];
-  an2.setAttribute("target", "_blank");
-  an2.innerText = "More events at this venue";
-  // an2.target = blank
-  section2.appendChild(an2);
-  sections.appendChild(section2);
+  sections.appendChild(el("div", { id: "section2" }, an2));
   card2div.appendChild(sections);
+  card2div.appendChild(
+    el("section", { id: "venueEvents", "aria-labelledby": "venueEventsHeading" }, [
+      el("h2", { id: "venueEventsHeading" }, t("upcomingAtVenue")),
+      el("div", { id: "venueEventsLoading", class: "loading", role: "status", hidden: "" }, t("loadingVenueEvents")),
+      el("div", { id: "venueEventsError", class: "errorMessage", role: "alert", hidden: "" }),
+      el("ul", { id: "venueEventsList", class: "eventPageList" }),
+      el("div", { id: "venueEventsPager", class: "eventPager" }),
+    ])
+  );
   container.appendChild(card2div);
   parent.appendChild(container);
   parent.style.display = 'block';
   parent.scrollIntoView();
+  heading.focus({ preventScroll: true });
+  loadVenueEvents(data["id"], 0);
+}
+
+// Upcoming events at the open venue, a page at a time
+const venueEventsPageSize = 5;
+
+async function loadVenueEvents(venueId, page, moveFocus) {
+  const signal = startRequest("venueEvents");
+  let result;
+  try {
+    result = await apiGet("/get_venue_events", { id: venueId, page: page, size: venueEventsPageSize }, signal);
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("venueEvents", e);
+    }
+    return;
+  } finally {
+    finishRequest("venueEvents", signal);
+  }
+  renderEventPage("venueEvents", result, t("noUpcomingEvents"), (number) => loadVenueEvents(venueId, number, true));
+  if (moveFocus) {
+    focusEventPage("venueEvents");
+  }
+}
+
+// Fills #<prefix>List with one page of events, each opening its details card, and
+// #<prefix>Pager with previous/next buttons that call loadPage(page number).
+// The event with id currentId is the one already open: it stays in its place, so pages keep
+// their size, but is marked instead of linked.
+function renderEventPage(prefix, data, emptyText, loadPage, currentId) {
+  const list = document.getElementById(prefix + "List");
+  const pager = document.getElementById(prefix + "Pager");
+  if (!list) {
+    return;
+  }
+  list.innerHTML = "";
+  pager.innerHTML = "";
+
+  if (data["events"].length == 0) {
+    list.append(el("li", { class: "eventPageEmpty" }, emptyText));
+  }
+  for (const event of data["events"]) {
+    let title;
+    if (event["id"] == currentId) {
+      title = el("span", { class: "eventPageCurrent" }, [
+        event["event"],
+        el("span", { class: "eventPageBadge" }, t("thisEvent")),
+      ]);
+    } else {
+      title = el("button", { type: "button", class: "abc eventLink" }, event["event"]);
+      title.onclick = () => getDetails(event["id"]);
+    }
+    list.append(
+      el("li", { class: "eventPageItem", "aria-current": event["id"] == currentId ? "true" : undefined }, [
+        el("span", { class: "eventPageDate" }, formatEventDateTime(event["date"], event["time"])),
+        title,
+      ])
+    );
+  }
+
+  const number = data["page"]["number"];
+  const pages = data["page"]["totalPages"];
+  if (pages > 1) {
+    const previous = el("button", { type: "button", class: "pagerButton" }, t("previousPage"));
+    previous.disabled = number == 0;
+    previous.onclick = () => loadPage(number - 1);
+    const next = el("button", { type: "button", class: "pagerButton" }, t("nextPage"));
+    next.disabled = number + 1 >= pages;
+    next.onclick = () => loadPage(number + 1);
+    const position = t("pageOf", { page: formatNumber(number + 1), pages: formatNumber(pages) });
+    pager.append(previous, el("span", { class: "pagerPosition" }, position), next);
+    announce(position);
+  }
+}
+
+// Paging moves focus to the first event of the new page, as the old buttons are redrawn
+function focusEventPage(prefix) {
+  const first = document.querySelector("#" + prefix + "List .eventLink");
+  if (first) {
+    first.focus();
+  }
+}
+
+// Artist panel: one act of the open event's lineup, with its upcoming events
+// near the current search (or anywhere, before a search has run)
+const attractionEventsPageSize = 5;
+// Ticketmaster's external link types, as string table keys
+const attractionLinkKeys = {
+  homepage: "linkHomepage",
+  youtube: "linkYoutube",
+  spotify: "linkSpotify",
+  itunes: "linkItunes",
+  instagram: "linkInstagram",
+  twitter: "linkTwitter",
+  facebook: "linkFacebook",
+  wiki: "linkWiki",
+  lastfm: "linkLastfm",
+  musicbrainz: "linkMusicbrainz",
+};
+var shownAttraction;
+
+function lineup(event) {
+  return el(
+    "ul",
+    { class: "lineup" },
+    event["attractions"].map((attraction) => {
+      const button = el(
+        "button",
+        {
+          type: "button",
+          class: "abc attractionLink",
+          "aria-expanded": "false",
+          "aria-controls": "artistPanel",
+          "data-attraction": attraction["id"],
+        },
+        attraction["name"]
+      );
+      button.onclick = () => {
+        if (shownAttraction == attraction["id"]) {
+          closeArtistPanel();
+        } else {
+          openArtistPanel(event, attraction);
+        }
+      };
+      return el("li", {}, button);
+    })
+  );
+}
+
+function attractionButtons() {
+  return Array.from(document.getElementsByClassName("attractionLink"));
+}
+
+function openArtistPanel(event, attraction) {
+  const panel = document.getElementById("artistPanel");
+  shownAttraction = attraction["id"];
+  for (const button of attractionButtons()) {
+    button.setAttribute("aria-expanded", button.dataset.attraction == shownAttraction ? "true" : "false");
+  }
+
+  const heading = el("h3", { id: "artistPanelHeading", tabindex: "-1" }, attraction["name"]);
+  const close = el("button", { type: "button", class: "closeArtist", "aria-label": t("closeArtist") }, "\u2715");
+  close.onclick = () => closeArtistPanel();
+
+  const links = (attraction["links"] || []).map((link) =>
+    el("li", {}, externalLink(
+      link["url"],
+      link["type"] in attractionLinkKeys ? t(attractionLinkKeys[link["type"]]) : link["type"]
+    ))
+  );
+  if (attraction["url"] != undefined) {
+    links.push(el("li", {}, externalLink(attraction["url"], t("linkTicketmaster"))));
+  }
+
+  let eventsHeading = t("artistEventsUpcoming");
+  let near = {};
+  if (lastSearch != undefined) {
+    const unit = lastSearch["unit"] == "km" ? t("km") : t("miles");
+    eventsHeading = t("artistEventsNear", { distance: formatNumber(Number(lastSearch["distance"])), unit: unit });
+    near = { geoHash: lastSearch["geoHash"], distance: lastSearch["distance"], unit: lastSearch["unit"] };
+  }
+
+  panel.innerHTML = "";
+  panel.append(
+    el("div", { class: "artistHeader" }, [
+      attraction["image"] != undefined ? el("img", { src: attraction["image"], alt: "" }) : "",
+      el("div", {}, [heading, attraction["classification"] ? el("p", {}, attraction["classification"]) : ""]),
+      close,
+    ]),
+    links.length > 0 ? el("ul", { class: "artistLinks", "aria-label": t("artistLinks") }, links) : "",
+    el("h4", {}, eventsHeading),
+    el("div", { id: "artistEventsLoading", class: "loading", role: "status", hidden: "" }, t("loadingArtistEvents")),
+    el("div", { id: "artistEventsError", class: "errorMessage", role: "alert", hidden: "" }),
+    el("ul", { id: "artistEventsList", class: "eventPageList" }),
+    el("div", { id: "artistEventsPager", class: "eventPager" })
+  );
+  panel.hidden = false;
+  heading.focus();
+  loadAttractionEvents(attraction["id"], near, event["id"], 0);
+}
+
+function closeArtistPanel() {
+  const panel = document.getElementById("artistPanel");
+  cancelRequest("artistEvents");
+  if (panel) {
+    panel.hidden = true;
+    panel.innerHTML = "";
+  }
+  const opener = attractionButtons().find((button) => button.dataset.attraction == shownAttraction);
+  shownAttraction = undefined;
+  for (const button of attractionButtons()) {
+    button.setAttribute("aria-expanded", "false");
+  }
+  if (opener) {
+    opener.focus();
+  }
+}
+
+async function loadAttractionEvents(attractionId, near, eventId, page, moveFocus) {
+  const signal = startRequest("artistEvents");
+  let result;
+  try {
+    result = await apiGet(
+      "/get_attraction_events",
+      Object.assign({ id: attractionId, page: page, size: attractionEventsPageSize }, near),
+      signal
+    );
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("artistEvents", e);
+    }
+    return;
+  } finally {
+    finishRequest("artistEvents", signal);
+  }
+  renderEventPage(
+    "artistEvents",
+    result,
+    t("noArtistEvents"),
+    (number) => loadAttractionEvents(attractionId, near, eventId, number, true),
+    eventId
+  );
+  if (moveFocus) {
+    focusEventPage("artistEvents");
+  }
 }
 
-async function card2(keyword) {
-  // TO CHANGE- https://webtechhw6-378807.wl.r.appspot.com
-  // http://127.0.0.1:5000
-  st = "https://webtechhw6-378807.wl.r.appspot.com/get_card2?" + "keyword=" + keyword;
-  let response = await fetch(st, {
-    method: "GET",
-    // mode: "no-cors",
-    // credentials: 'include',
-    // headers: {
-    //     "Access-Control-Allow-Origin" : "*",
-    //     "Access-Control-Allow-Credentials" : true,
-    // },
-  });
-  data = await response.json();
+async function card2(venueId) {
+  writeUrlState(
+    Object.assign(urlSearchState(), {
+      event: new URLSearchParams(window.location.search).get("event"),
+      venue: "1",
+    }),
+    true
+  );
+  const signal = startRequest("venue");
+  try {
+    data = await apiGet("/get_card2", { id: venueId }, signal);
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("venue", e);
+    }
+    return;
+  } finally {
+    finishRequest("venue", signal);
+  }
   populateCard2(data);
 }
 
@@ -580,9 +1287,10 @@ async function populateTable(tableData) {
   if(tableData['events'] == 0){
     let pr = document.createElement("div");
     pr.setAttribute("id", "nodata");
-    pr.innerText = "No Records Found";
+    pr.innerText = t("noRecords");
     mytable.append(pr)
     mytable.style.display = "table";
+    announce(t("noRecords"));
     return;
   }
 
@@ -591,96 +1299,342 @@ async function populateTable(tableData) {
     tst.remove();
   }
 
-  let headt = document.createElement("thead")
-  headt.setAttribute("id", "headt")
-    let an = document.createElement("tr")
-      let child1 = document.createElement("th")
-      child1.setAttribute("class", "cur")
-      child1.setAttribute("onclick", "sortTable('date')")
-      child1.innerHTML = 'Date'
-    an.appendChild(child1)
-      let child2 = document.createElement("th")
-      child2.setAttribute("class", "cur")
-      child2.innerHTML = 'Icon'
-    an.appendChild(child2)
-      let child3 = document.createElement("th")
-      child3.setAttribute("class", "cur")
-      child3.setAttribute("onclick", "sortTable('event')")
-      child3.innerHTML = 'Event'
-    an.appendChild(child3)
-      let child4 = document.createElement("th")
-      child4.setAttribute("class", "cur")
-      child4.setAttribute("onclick", "sortTable('genre')")
-      child4.innerHTML = 'Genre'
-    an.appendChild(child4)
-      let child5 = document.createElement("th")
-      child5.setAttribute("class", "cur")
-      child5.setAttribute("onclick", "sortTable('venue')")
-      child5.innerHTML = 'Venue'
-      an.appendChild(child5)
-  headt.appendChild(an)  
+  // Sortable headers hold a button carrying their column; the label follows the locale
+  // through data-i18n
+  const header = (key, col) => {
+    if (col == undefined) {
+      return el("th", { scope: "col", "data-i18n": key }, t(key));
+    }
+    const button = el("button", { type: "button", class: "sortButton", "data-i18n": key }, t(key));
+    button.onclick = (e) => sortTable(col, e.shiftKey);
+    return el("th", { scope: "col", class: "cur", "data-col": col }, button);
+  };
+  let headt = el("thead", { id: "headt" }, [
+    el("tr", {}, [
+      header("date", "date"),
+      header("icon"),
+      header("event", "event"),
+      header("genre", "genre"),
+      header("venue", "venue"),
+      header("distance", "distance"),
+      header("save"),
+      header("compare"),
+    ]),
+  ]);
   mytable.append(headt)
+  updateSortIndicators();
+
+  renderTableRows(tableData);
+
+  document.getElementById("resultsBar").style.display = "block";
+  document.getElementById("filterBar").style.display = "flex";
+  mytable.setAttribute("aria-label", t("resultsTable"));
+  mytable.style.display = "table";
+  mytable.scrollIntoView();
+  announce(document.getElementById("resultCount").innerText);
+}
 
+// (Re)draws the event rows under the header. Used on its own when more pages are
+// appended so the header, the open cards and the scroll position stay put.
+function renderTableRows(tableData) {
+  let mytable = document.getElementById("eventsList");
+  const oldRows = mytable.getElementsByClassName("eventRow");
+  while (oldRows.length > 0) {
+    oldRows[0].remove();
+  }
 
-  for (var i = 0; i < tableData["events"].length; i++) {
+  const events = filterEvents(tableData["events"]);
+  updateFilterBar(tableData["events"], events);
+  for (var i = 0; i < events.length; i++) {
     let newRow = document.createElement("tr");
+    newRow.setAttribute("class", "eventRow");
+    newRow.dataset.id = events[i]["id"];
 
     // Date
 
     var date = document.createElement("td");
-    date.setAttribute("id", "Dte");
-    date.innerHTML =
-      tableData["events"][i]["date"] + "<br>" + tableData["events"][i]["time"];
+    date.setAttribute("class", "dateCell");
+    date.innerText = formatEventDate(events[i]["date"]);
+    if (events[i]["time"] != undefined) {
+      date.appendChild(document.createElement("br"));
+      date.appendChild(document.createTextNode(formatEventTime(events[i]["time"])));
+    }
     newRow.appendChild(date);
 
     // Icon
-    var img = document.createElement("td");
-    img.setAttribute("id", "Icon");
-    img.innerHTML =
-      '<img src="' +
-      tableData["events"][i]["icon"] +
-      '" style = "height: 50px; width: 100px"/>';
-    img.src = tableData["events"][i]["icon"];
+    var img = el("td", { class: "iconCell" }, [
+      el("img", { src: events[i]["icon"], alt: "", style: "height: 50px; width: 100px" }),
+    ]);
     newRow.appendChild(img);
 
-    let cell3 = document.createElement("td");
-
-    cell3.innerHTML =
-      '<label id="' +
-      tableData["events"][i]["id"] +
-      '" onClick="getDetails(this.id)" class="abc" >' +
-      tableData["events"][i]["event"] +
-      "</label>";
-    newRow.appendChild(cell3);
+    // Event
+    const id = events[i]["id"];
+    const title = el("button", { type: "button", class: "abc eventLink" }, events[i]["event"]);
+    title.onclick = () => getDetails(id);
+    newRow.appendChild(el("td", {}, title));
 
     // Genre
     let cell4 = document.createElement("td");
-    cell4.innerText = tableData["events"][i]["genre"];
+    cell4.innerText = events[i]["genre"];
     newRow.appendChild(cell4);
 
     // Venue
     let cell5 = document.createElement("td");
-    cell5.innerText = tableData["events"][i]["venue"];
+    cell5.innerText = events[i]["venue"];
     newRow.appendChild(cell5);
 
+    // Distance
+    let cell7 = document.createElement("td");
+    cell7.setAttribute("class", "distance");
+    cell7.innerText = formatDistance(events[i]);
+    newRow.appendChild(cell7);
+
+    // Save
+    let cell6 = document.createElement("td");
+    cell6.appendChild(
+      favoriteButton({
+        id: events[i]["id"],
+        title: events[i]["event"],
+        date: events[i]["date"],
+        time: events[i]["time"],
+        venue: events[i]["venue"],
+        icon: events[i]["icon"],
+        url: events[i]["url"],
+        timezone: events[i]["timezone"],
+      })
+    );
+    newRow.appendChild(cell6);
+
+    // Compare
+    newRow.appendChild(el("td", {}, compareCheckbox(events[i])));
+
     mytable.appendChild(newRow);
   }
 
-  mytable.style.display = "table";
-  mytable.scrollIntoView();
+  if (events.length == 0) {
+    let emptyRow = document.createElement("tr");
+    emptyRow.setAttribute("class", "eventRow");
+    let emptyCell = document.createElement("td");
+    emptyCell.setAttribute("colspan", "8");
+    emptyCell.setAttribute("id", "nomatch");
+    emptyCell.innerText = t("noMatches");
+    emptyRow.appendChild(emptyCell);
+    mytable.appendChild(emptyRow);
+  }
+
+  updateLoadMore(tableData);
+  renderMap();
 }
 
-async function clearTable() {
-  const mytable = document.getElementById("eventsList");
-  mytable.style.display = "none";
-  var rowCount = mytable.rows.length;
-  for (var x = rowCount - 1; x > 0; x--) {
-    mytable.removeChild(mytable.rows[x]);
+// Adds distance (miles) and bearing from the search origin to every event that has venue coordinates
+function addDistances(tableData) {
+  if (tableData["events"] == 0 || searchOrigin == undefined) {
+    return;
   }
+  tableData["events"].forEach((event) => {
+    if (event["lat"] != undefined) {
+      const venue = { lat: event["lat"], lon: event["lon"] };
+      event["distance"] = LatLon.distance(searchOrigin, venue, "mi");
+      event["bearing"] = LatLon.bearing(searchOrigin, venue);
+    }
+  });
+}
 
-  const elements = document.getElementsByClassName("downarrow");
-  while (elements.length > 0) {
-    elements[0].parentNode.removeChild(elements[0]);
+function formatDistance(event) {
+  if (event["distance"] == undefined) {
+    return "-";
+  }
+  const distance = distanceUnit == "km" ? event["distance"] * kmPerMile : event["distance"];
+  return (
+    formatNumber(distance, 1) +
+    " " +
+    t(distanceUnit) +
+    "\n" +
+    t("compass" + LatLon.compassPoint(event["bearing"]))
+  );
+}
+
+// The unit both for the radius of the next search and for the distances shown now
+function setDistanceUnit(unit) {
+  distanceUnit = unit;
+  document.getElementById("distanceUnit").value = unit;
+  storePreferences();
+  if (tableD != undefined && tableD["events"] != 0) {
+    renderTableRows(tableD);
+  }
+}
+
+// Client-side filters over the loaded rows. All set filters must match (AND).
+function filterEvents(events) {
+  const from = document.getElementById("filterFrom").value;
+  const to = document.getElementById("filterTo").value;
+  const genre = document.getElementById("filterGenre").value;
+  const venue = document.getElementById("filterVenue").value;
+  const title = document.getElementById("filterTitle").value.trim().toLowerCase();
+
+  return events.filter(
+    (event) =>
+      (from == "" || event["date"] >= from) &&
+      (to == "" || event["date"] <= to) &&
+      (genre == "" || event["genre"] == genre) &&
+      (venue == "" || event["venue"] == venue) &&
+      (title == "" || event["event"].toLowerCase().indexOf(title) != -1)
+  );
+}
+
+// Refreshes the genre/venue choices from the loaded rows (keeping the current pick) and the count
+function updateFilterBar(allEvents, shownEvents) {
+  fillFilterSelect("filterGenre", t("allGenres"), allEvents.map((event) => event["genre"]));
+  fillFilterSelect("filterVenue", t("allVenues"), allEvents.map((event) => event["venue"]));
+  document.getElementById("filterCount").innerText = t("showingOf", {
+    shown: formatNumber(shownEvents.length),
+    total: formatNumber(allEvents.length),
+  });
+}
+
+function fillFilterSelect(id, allLabel, values) {
+  const select = document.getElementById(id);
+  const selected = select.value;
+  const options = values
+    .filter((value, index) => value != undefined && values.indexOf(value) == index)
+    .sort();
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.innerText = allLabel;
+  select.appendChild(all);
+  options.forEach((value) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.innerText = value;
+    select.appendChild(option);
+  });
+  select.value = options.indexOf(selected) != -1 ? selected : "";
+}
+
+function applyFilters() {
+  if (tableD != undefined && tableD["events"] != 0) {
+    renderTableRows(tableD);
+    announce(document.getElementById("filterCount").innerText);
+  }
+}
+
+function resetFilterInputs() {
+  ["filterFrom", "filterTo", "filterGenre", "filterVenue", "filterTitle"].forEach((id) => {
+    document.getElementById(id).value = "";
+  });
+}
+
+function resetFilters() {
+  resetFilterInputs();
+  applyFilters();
+}
+
+// Reads result counts out to screen readers. Cleared first so the same count is announced again.
+function announce(text) {
+  const region = document.getElementById("announcer");
+  region.textContent = "";
+  setTimeout(() => {
+    region.textContent = text;
+  }, 100);
+}
+
+function hasMoreResults(tableData) {
+  return (
+    tableData != undefined &&
+    tableData["page"] != undefined &&
+    tableData["page"]["number"] + 1 < tableData["page"]["totalPages"]
+  );
+}
+
+function updateLoadMore(tableData) {
+  const loadMore = document.getElementById("loadMore");
+  if (tableData["events"] == 0) {
+    loadMore.style.display = "none";
+    return;
+  }
+  document.getElementById("resultCount").innerText = t("showingEvents", {
+    shown: formatNumber(tableData["events"].length),
+    total: formatNumber(tableData["page"]["totalElements"]),
+  });
+  document.getElementById("loadMoreButton").style.display = hasMoreResults(tableData)
+    ? "inline-block"
+    : "none";
+  loadMore.style.display = "block";
+}
+
+// Fetches the next Ticketmaster page for the current search and merges it into tableD,
+// re-applying the active sort instead of tacking the new rows on at the bottom.
+async function loadMoreResults() {
+  if (loadingMore || !hasMoreResults(tableD)) {
+    return;
+  }
+  const search = lastSearch;
+  const signal = startRequest("more");
+  loadingMore = true;
+  document.getElementById("loadMoreButton").innerText = t("loading");
+  try {
+    data = await apiGet(
+      "/get_search_results",
+      Object.assign({}, search, { page: tableD["page"]["number"] + 1, size: pageSize }),
+      signal
+    );
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("more", e);
+    }
+    return;
+  } finally {
+    finishRequest("more", signal);
+    loadingMore = false;
+    document.getElementById("loadMoreButton").innerText = t("loadMore");
+  }
+
+  // A new search was submitted while this page was in flight
+  if (search != lastSearch) {
+    return;
+  }
+  // An empty page just means Ticketmaster had fewer results than it reported
+  if (data["events"] == 0) {
+    tableD["page"]["totalPages"] = tableD["page"]["number"] + 1;
+  } else {
+    addDistances(data);
+    tableD["events"] = tableD["events"].concat(data["events"]);
+    tableD["page"] = data["page"];
+    sortEvents(tableD["events"]);
+  }
+  renderTableRows(tableD);
+  announce(document.getElementById("resultCount").innerText);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  // Infinite scroll: pull the next page as soon as the "load more" bar scrolls into view
+  if ("IntersectionObserver" in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreResults();
+      }
+    });
+    observer.observe(document.getElementById("loadMore"));
+  }
+});
+
+async function clearTable() {
+  const mytable = document.getElementById("eventsList");
+  mytable.style.display = "none";
+  document.getElementById("loadMore").style.display = "none";
+  document.getElementById("resultsBar").style.display = "none";
+  document.getElementById("filterBar").style.display = "none";
+  document.getElementById("mapView").style.display = "none";
+  document.getElementById("activeRange").hidden = true;
+  var rowCount = mytable.rows.length;
+  for (var x = rowCount - 1; x > 0; x--) {
+    mytable.removeChild(mytable.rows[x]);
+  }
+
+  const elements = document.getElementsByClassName("downarrow");
+  while (elements.length > 0) {
+    elements[0].parentNode.removeChild(elements[0]);
   }
 
   const elements2 = document.getElementById("showVenueDetails");
@@ -701,49 +1655,40 @@ async function clearTable() {
 
 }
 
-async function callPythonScript(ge, distance, segmentID, keyword) {
-  st =
-    "https://webtechhw6-378807.wl.r.appspot.com/get_search_results?" +
-    "keyword" +
-    "=" +
-    keyword +
-    "&" +
-    "distance" +
-    "=" +
-    distance +
-    "&" +
-    "segmentID" +
-    "=" +
-    segmentID +
-    "&" +
-    "geoHash" +
-    "=" +
-    ge;
-
-  let response = await fetch(st, {
-    method: "GET",
-    // mode: "no-cors",
-    // credentials: 'include',
-    // headers: {
-    //     "Access-Control-Allow-Origin" : "*",
-    //     "Access-Control-Allow-Credentials" : true,
-    // },
-  });
-
-  data = await response.json();
+async function callPythonScript(ge, distance, filters, keyword, signal) {
+  const search = Object.assign(
+    {
+      keyword: keyword,
+      distance: distance,
+      unit: distanceUnit == "km" ? "km" : "miles",
+      geoHash: ge,
+    },
+    filters
+  );
+  data = await apiGet(
+    "/get_search_results",
+    Object.assign({}, search, { page: 0, size: pageSize }),
+    signal
+  );
+  lastSearch = search;
+  if (data["events"] == 0) {
+    throw new NoEventsError();
+  }
+  addDistances(data);
   tableD = data;
+  tableSort = [];
+  resetFilterInputs();
   populateTable(data);
 }
 
 async function submitted() {
   var keyword = document.getElementById("keyword").value;
   var distance = document.getElementById("distance").value;
-  var category = document.getElementById("category").value;
   var location;
   var string;
-  var segmentID = "";
 
-  keyword = keyword.replace(/\s+/g, "+");
+  // Sent as typed: apiUrl encodes the spaces, and a "+" would reach Ticketmaster as a literal plus
+  keyword = keyword.trim();
 
   if (keyword == "") {
     return;
@@ -753,31 +1698,711 @@ async function submitted() {
     distance = 10;
   }
 
-  if (category == "music") {
-    segmentID = "KZFzniwnSyZfZ7v7nJ";
-  } else if (category == "sports") {
-    segmentID = "KZFzniwnSyZfZ7v7nE";
-  } else if (category == "arts") {
-    segmentID = "KZFzniwnSyZfZ7v7na";
-  } else if (category == "film") {
-    segmentID = "KZFzniwnSyZfZ7v7nn";
-  } else if (category == "music") {
-    segmentID = "KZFzniwnSyZfZ7v7n1";
+  const when = whenState();
+  const filters = Object.assign(classificationState(), whenParams(when));
+
+  writeUrlState(formState());
+  shownSearch = searchParamsKey(new URLSearchParams(window.location.search));
+
+  // A new search supersedes everything still loading for the old one
+  cancelRequest("more");
+  cancelRequest("details");
+  cancelRequest("venue");
+  const signal = startRequest("search");
+
+  try {
+    location = await resolveLocation(signal);
+    searchOrigin = { lat: location.lat, lon: location.lon };
+    showLocationSource(location);
+    const ge = Geohash.encode(location.lat, location.lon, geohashPrecision(location));
+    await callPythonScript(ge, distance, filters, keyword, signal);
+    showActiveRange(when);
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("search", e);
+    }
+  } finally {
+    finishRequest("search", signal);
   }
+}
 
+// URL state. The search form, the open event and whether its venue card is expanded live in
+// the query string so a view can be reloaded or shared, and back/forward step through it.
+const searchStateKeys = [
+  "keyword",
+  "distance",
+  "category",
+  "genre",
+  "subGenre",
+  "from",
+  "to",
+  "location",
+  "auto",
+];
+const viewStateKeys = ["event", "venue"];
+var restoringState = false; // set while a URL is being replayed, so replaying doesn't push history
+var shownSearch = ""; // searchParamsKey() of the results currently in the table
+
+function formState() {
+  const state = {
+    keyword: document.getElementById("keyword").value,
+    distance: document.getElementById("distance").value,
+    category: document.getElementById("category").value,
+    genre: document.getElementById("genre").value,
+    subGenre: document.getElementById("subGenre").value,
+    from: document.getElementById("startDate").value,
+    to: document.getElementById("endDate").value,
+  };
   if (document.getElementById("locationCheck").checked) {
-    // Detect location using IP
-    const location = await getFromIP();
-    const ge = Geohash.encode(location[0], location[1]);
-    callPythonScript(ge, distance, segmentID, keyword);
+    state["auto"] = "1";
+  } else {
+    state["location"] = document.getElementById("locationTextBox").value;
+  }
+  return state;
+}
+
+function searchParamsKey(params) {
+  return searchStateKeys.map((key) => params.get(key) || "").join("|");
+}
+
+// Replaces the search/view keys of the current URL with `state`, keeping unrelated ones
+// such as ?api= and ?fixtures=.
+function writeUrlState(state, replace) {
+  if (restoringState) {
+    return;
+  }
+  const params = new URLSearchParams(window.location.search);
+  searchStateKeys.concat(viewStateKeys).forEach((key) => params.delete(key));
+  for (const key in state) {
+    if (state[key] != undefined && state[key] !== "") {
+      params.set(key, state[key]);
+    }
+  }
+  const query = params.toString();
+  const url = window.location.pathname + (query ? "?" + query : "");
+  if (url == window.location.pathname + window.location.search) {
+    return;
+  }
+  if (replace) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+// The search part of the current URL, for adding the view keys on top of it
+function urlSearchState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  searchStateKeys.forEach((key) => {
+    if (params.has(key)) {
+      state[key] = params.get(key);
+    }
+  });
+  return state;
+}
+
+function closeCards() {
+  const elements = document.getElementsByClassName("downarrow");
+  while (elements.length > 0) {
+    elements[0].parentNode.removeChild(elements[0]);
+  }
+  ["showVenueDetails", "container", "Card1"].forEach((id) => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.remove();
+    }
+  });
+}
+
+// Rebuilds the page from the URL: re-runs the search if it differs from what is shown,
+// then reopens the event and its venue card. An event opened before any search (from
+// favorites, a suggestion or the compare view) comes back on its own.
+async function restoreUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  restoringState = true;
+  try {
+    if (!params.has("keyword")) {
+      clearForm();
+      clearTable();
+      shownSearch = "";
+    } else if (searchParamsKey(params) != shownSearch) {
+      document.getElementById("keyword").value = params.get("keyword");
+      document.getElementById("distance").value = params.get("distance") || "";
+      await loadClassifications();
+      setClassification(params.get("category"), params.get("genre"), params.get("subGenre"));
+      setWhen(params.get("from") || "", params.get("to") || "");
+      document.getElementById("locationCheck").checked = params.has("auto");
+      document.getElementById("locationTextBox").value = params.get("location") || "";
+      locationCheckBox();
+      await submitted();
+    }
+
+    if (params.has("event")) {
+      await getDetails(params.get("event"));
+      if (params.has("venue")) {
+        await card2(prev_venue);
+      }
+    } else {
+      closeCards();
+    }
+  } finally {
+    restoringState = false;
+  }
+}
+
+window.addEventListener("popstate", restoreUrlState);
+
+document.addEventListener("DOMContentLoaded", () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("keyword") || params.has("event")) {
+    restoreUrlState();
+  }
+});
+
+// Category, genre and sub-genre pickers, filled from Ticketmaster's classifications through
+// the backend. The category select ships with the main segments so searching still works
+// when the list can't be loaded.
+var classifications = []; // [{id, name, genres: [{id, name, subgenres: [{id, name}]}]}]
+var classificationsLoading;
+
+function loadClassifications() {
+  if (classificationsLoading == undefined) {
+    classificationsLoading = apiGet("/classifications")
+      .then((data) => {
+        classifications = data["segments"];
+        const category = document.getElementById("category");
+        fillPicker(category, classifications, "categoryDefault", "default", category.value);
+        categoryChanged();
+      })
+      .catch(() => {
+        // Keep the built-in segments; the next restore or page load tries again
+        classificationsLoading = undefined;
+      });
+  }
+  return classificationsLoading;
+}
+
+function fillPicker(select, items, anyKey, anyValue, selected) {
+  select.innerHTML = "";
+  const any = document.createElement("option");
+  any.value = anyValue;
+  any.dataset.i18n = anyKey;
+  any.innerText = t(anyKey);
+  select.appendChild(any);
+  items.forEach((item) => {
+    const option = document.createElement("option");
+    option.value = item["id"];
+    option.innerText = item["name"];
+    select.appendChild(option);
+  });
+  select.value = items.some((item) => item["id"] == selected) ? selected : anyValue;
+}
+
+function findClassification(items, id) {
+  return items.find((item) => item["id"] == id);
+}
+
+// Refill the pickers below the one that changed, keeping the current choice where it still
+// applies unless another one is given.
+function categoryChanged(selectedGenre, selectedSubGenre) {
+  const segment = findClassification(classifications, document.getElementById("category").value);
+  const genre = document.getElementById("genre");
+  const genreValue = selectedGenre == undefined ? genre.value : selectedGenre;
+  fillPicker(genre, segment ? segment["genres"] : [], "any", "", genreValue);
+  genre.disabled = genre.options.length == 1;
+  genreChanged(selectedSubGenre);
+}
+
+function genreChanged(selectedSubGenre) {
+  const segment = findClassification(classifications, document.getElementById("category").value);
+  const genre =
+    segment && findClassification(segment["genres"], document.getElementById("genre").value);
+  const subGenre = document.getElementById("subGenre");
+  const subGenreValue = selectedSubGenre == undefined ? subGenre.value : selectedSubGenre;
+  fillPicker(subGenre, genre ? genre["subgenres"] : [], "any", "", subGenreValue);
+  subGenre.disabled = subGenre.options.length == 1;
+}
+
+function setClassification(category, genre, subGenre) {
+  const select = document.getElementById("category");
+  select.value = category || "default";
+  if (select.selectedIndex == -1) {
+    select.value = "default";
+  }
+  categoryChanged(genre || "", subGenre || "");
+}
+
+// The ids /get_search_results narrows by; genre and sub-genre only when one is picked
+function classificationState() {
+  const category = document.getElementById("category").value;
+  const state = { segmentID: category == "default" ? "" : category };
+  if (document.getElementById("genre").value) {
+    state["genreID"] = document.getElementById("genre").value;
+  }
+  if (document.getElementById("subGenre").value) {
+    state["subGenreID"] = document.getElementById("subGenre").value;
+  }
+  return state;
+}
+
+document.addEventListener("DOMContentLoaded", loadClassifications);
+
+// When: an optional range of days, typed or set from a preset. The days are the browser's
+// local ones; Ticketmaster wants UTC instants, so each end is converted from local time.
+const whenPresetRanges = {
+  tonight: (today) => [today, today],
+  // Friday to Sunday, or from today once the weekend has started
+  weekend: (today) => {
+    const day = today.getDay(); // 0 is Sunday
+    const sunday = addDays(today, (7 - day) % 7);
+    return [day == 0 || day == 6 ? today : addDays(today, 5 - day), sunday];
+  },
+  next30: (today) => [today, addDays(today, 30)],
+};
+
+function dateString(date) {
+  return (
+    date.getFullYear() +
+    "-" +
+    String(date.getMonth() + 1).padStart(2, "0") +
+    "-" +
+    String(date.getDate()).padStart(2, "0")
+  );
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function setWhenPreset(name) {
+  const range = whenPresetRanges[name](new Date());
+  setWhen(dateString(range[0]), dateString(range[1]));
+}
+
+function setWhen(from, to) {
+  document.getElementById("startDate").value = from;
+  document.getElementById("endDate").value = to;
+  whenChanged();
+}
+
+// The end date can't be before the start; the form's own validation reports it
+function whenChanged() {
+  document.getElementById("endDate").min = document.getElementById("startDate").value;
+}
+
+const rangeDateFormat = { weekday: "short", month: "short", day: "numeric", year: "numeric" };
+var shownWhen; // the range behind #activeRange, to redraw it in another locale
+
+function whenState() {
+  return {
+    from: document.getElementById("startDate").value,
+    to: document.getElementById("endDate").value,
+  };
+}
+
+function whenParams(when) {
+  const params = {};
+  if (when.from == dateString(new Date())) {
+    // Events earlier today are over, so a range from today (Tonight, say) starts at the top
+    // of the current hour: whatever began since may still be on, and the search stays cacheable
+    const hour = new Date();
+    hour.setMinutes(0, 0, 0);
+    params["startDateTime"] = isoSeconds(hour);
+  } else if (when.from) {
+    params["startDateTime"] = utcDateTime(when.from, "00:00:00");
+  }
+  if (when.to) {
+    params["endDateTime"] = utcDateTime(when.to, "23:59:59");
+  }
+  return params;
+}
+
+function utcDateTime(date, time) {
+  return isoSeconds(new Date(date + "T" + time));
+}
+
+// Ticketmaster rejects fractional seconds, so toISOString()'s milliseconds are dropped
+function isoSeconds(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function showActiveRange(when) {
+  const range = document.getElementById("activeRange");
+  const from = when.from && formatEventDate(when.from, rangeDateFormat);
+  const to = when.to && formatEventDate(when.to, rangeDateFormat);
+  if (when.from && when.to) {
+    range.innerText =
+      when.from == when.to ? t("rangeOn", { date: from }) : t("rangeFromTo", { from: from, to: to });
+  } else if (when.from) {
+    range.innerText = t("rangeFrom", { from: from });
+  } else if (when.to) {
+    range.innerText = t("rangeUntil", { to: to });
+  }
+  range.hidden = !when.from && !when.to;
+  shownWhen = when;
+}
+
+// Where the search is made from. With auto-detection on: the browser's geolocation, then IP
+// lookup, then back to manual entry; otherwise the typed address. Resolves to
+// {lat, lon, source, accuracy (metres), label}.
+const ipAccuracy = 25000; // IP lookup is city-level at best
+const geolocationTimeout = 8000;
+
+async function resolveLocation(signal) {
+  if (!document.getElementById("locationCheck").checked) {
+    const address = document.getElementById("locationTextBox").value;
+    let recent = findRecentLocation(address);
+    let source = "recent";
+    if (recent == undefined) {
+      const data = await getFromLocation(address, signal);
+      recent = {
+        query: address.trim(),
+        address: data["address"] || address.trim(),
+        lat: Number(data["lat"]),
+        lon: Number(data["lon"]),
+        accuracy: data["accuracy"],
+      };
+      source = "address";
+    }
+    rememberLocation(recent);
+    return {
+      lat: recent.lat,
+      lon: recent.lon,
+      source: source,
+      accuracy: recent.accuracy,
+      label: recent.address,
+    };
+  }
+
+  try {
+    const position = await getDevicePosition(signal);
+    return {
+      lat: position.coords.latitude,
+      lon: position.coords.longitude,
+      source: "device",
+      accuracy: position.coords.accuracy,
+    };
+  } catch (e) {
+    if (isAbort(e)) {
+      throw e;
+    }
+    // Denied, unavailable or too slow: fall through to IP lookup
+  }
+
+  try {
+    const data = await getFromIP(signal);
+    return {
+      lat: Number(data["lat"]),
+      lon: Number(data["lon"]),
+      source: "ip",
+      accuracy: ipAccuracy,
+      label: data["city"],
+    };
+  } catch (e) {
+    if (!isAbort(e)) {
+      // Last resort: hand the location back to the user
+      document.getElementById("locationCheck").checked = false;
+      locationCheckBox();
+      document.getElementById("locationTextBox").focus();
+    }
+    throw e;
+  }
+}
+
+// getCurrentPosition's own timeout doesn't run while its permission prompt is open, so a
+// prompt the user ignores is given up on by our own timer
+function getDevicePosition(signal) {
+  return new Promise((resolve, reject) => {
+    if (!("geolocation" in navigator)) {
+      reject(new Error("Geolocation unsupported"));
+      return;
+    }
+    let timer;
+    const onAbort = () => settle(reject, new DOMException("Request cancelled", "AbortError"));
+    const settle = (done, value) => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", onAbort);
+      done(value);
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    timer = setTimeout(() => settle(reject, new Error("Geolocation timed out")), geolocationTimeout);
+    navigator.geolocation.getCurrentPosition(
+      (position) => settle(resolve, position),
+      (error) => settle(reject, error),
+      { timeout: geolocationTimeout, maximumAge: 5 * 60 * 1000 }
+    );
+  });
+}
+
+// Shortest geohash whose cell fits inside the position's uncertainty: its centre is no
+// further off than the position itself may be, and more characters would only claim
+// precision we don't have. Unknown accuracy keeps the old 6.
+function geohashPrecision(location) {
+  if (location.accuracy == undefined) {
+    return 6;
+  }
+  for (let precision = 1; precision < 12; precision++) {
+    const bounds = Geohash.bounds(Geohash.encode(location.lat, location.lon, precision));
+    const height = (bounds.ne.lat - bounds.sw.lat) * 111320;
+    const width =
+      (bounds.ne.lon - bounds.sw.lon) * 111320 * Math.cos((location.lat * Math.PI) / 180);
+    if (Math.max(height, width) <= location.accuracy) {
+      return precision;
+    }
+  }
+  return 12;
+}
+
+function formatAccuracy(metres) {
+  return metres >= 1000
+    ? t("accuracyKm", { value: formatNumber(Math.round(metres / 1000)) })
+    : t("accuracyM", { value: formatNumber(Math.round(metres)) });
+}
+
+function showLocationSource(location) {
+  shownLocation = location;
+  let text;
+  if (location.source == "device") {
+    text = t("sourceDevice");
+  } else if (location.source == "ip") {
+    text = location.label ? t("sourceIPCity", { city: location.label }) : t("sourceIP");
+  } else if (location.source == "recent") {
+    text = t("sourceRecent", { label: location.label });
   } else {
-    location = document.getElementById("locationTextBox").value;
-    const loc = await getFromLocation(location);
-    const ge = Geohash.encode(loc[0], loc[1]);
-    callPythonScript(ge, distance, segmentID, keyword);
+    text = t("sourceAddress", { label: location.label });
+  }
+  if (location.accuracy != undefined) {
+    text += t("accurateTo", { accuracy: formatAccuracy(location.accuracy) });
+  }
+  const source = document.getElementById("locationSource");
+  source.innerText = text;
+  source.hidden = false;
+}
+
+var shownLocation; // redrawn by setLocale while #locationSource shows it
+
+// Recently resolved locations, newest first, so picking one again skips geocoding
+const recentLocationsKey = "recentLocations";
+const recentLocationsMax = 5;
+
+function loadRecentLocations() {
+  try {
+    return JSON.parse(localStorage.getItem(recentLocationsKey)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Matches what was typed before, or the formatted address a suggestion filled in
+function findRecentLocation(text) {
+  const key = text.trim().toLowerCase();
+  return loadRecentLocations().find(
+    (recent) => recent.address.toLowerCase() == key || recent.query.toLowerCase() == key
+  );
+}
+
+function rememberLocation(location) {
+  const recents = loadRecentLocations().filter(
+    (recent) => recent.address.toLowerCase() != location.address.toLowerCase()
+  );
+  recents.unshift(location);
+  try {
+    localStorage.setItem(recentLocationsKey, JSON.stringify(recents.slice(0, recentLocationsMax)));
+  } catch (e) {
+    // Storage full or disabled: nothing to remember with
+  }
+}
+
+// Recent locations matching the text, then address suggestions from the backend
+async function loadLocationSuggestions(query, signal) {
+  const text = query.trim().toLowerCase();
+  const recents = loadRecentLocations().filter(
+    (recent) =>
+      recent.address.toLowerCase().indexOf(text) != -1 || recent.query.toLowerCase().indexOf(text) != -1
+  );
+  const items = recents.map((recent) => ({ label: recent.address, detail: t("recent") }));
+  if (text.length >= 2) {
+    const data = await apiGet("/autocomplete", { input: query.trim() }, signal);
+    data["suggestions"].forEach((suggestion) => {
+      if (!items.some((item) => item.label == suggestion)) {
+        items.push({ label: suggestion });
+      }
+    });
+  }
+  return items;
+}
+
+// Suggestion dropdown under a text input: debounced loading while typing, arrow keys,
+// Enter and Escape, and mouse picks. `load(query, signal)` resolves to a list of
+// {label, detail} items; `pick(item)` is called with the chosen one.
+const suggestDelay = 250;
+
+function attachSuggestions(input, list, load, pick) {
+  let timer;
+  let items = [];
+  let active = -1;
+  const slot = list.id;
+
+  input.setAttribute("autocomplete", "off");
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", list.id);
+  input.setAttribute("aria-expanded", "false");
+  list.setAttribute("role", "listbox");
+
+  const close = () => {
+    clearTimeout(timer);
+    cancelRequest(slot);
+    items = [];
+    active = -1;
+    list.innerHTML = "";
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  };
+
+  const highlight = (index) => {
+    active = index;
+    const options = list.children;
+    for (let i = 0; i < options.length; i++) {
+      options[i].classList.toggle("active", i == index);
+      options[i].setAttribute("aria-selected", i == index ? "true" : "false");
+    }
+    if (index == -1) {
+      input.removeAttribute("aria-activedescendant");
+    } else {
+      input.setAttribute("aria-activedescendant", options[index].id);
+    }
+  };
+
+  const choose = (index) => {
+    const item = items[index];
+    close();
+    pick(item);
+  };
+
+  const render = () => {
+    list.innerHTML = "";
+    items.forEach((item, index) => {
+      const option = document.createElement("li");
+      option.setAttribute("id", list.id + "-" + index);
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+      const label = document.createElement("span");
+      label.innerText = item.label;
+      option.appendChild(label);
+      if (item.detail) {
+        const detail = document.createElement("span");
+        detail.setAttribute("class", "suggestionDetail");
+        detail.innerText = item.detail;
+        option.appendChild(detail);
+      }
+      // mousedown, so the input keeps focus and doesn't close the list first
+      option.onmousedown = (e) => {
+        e.preventDefault();
+        choose(index);
+      };
+      list.appendChild(option);
+    });
+    active = -1;
+    list.hidden = items.length == 0;
+    input.setAttribute("aria-expanded", items.length > 0 ? "true" : "false");
+  };
+
+  const refresh = async () => {
+    const signal = startRequest(slot);
+    try {
+      items = await load(input.value, signal);
+    } catch (e) {
+      // Suggestions are a convenience; a failed lookup just shows none
+      if (!isAbort(e)) {
+        close();
+      }
+      return;
+    } finally {
+      finishRequest(slot, signal);
+    }
+    render();
+  };
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(refresh, suggestDelay);
+  });
+  input.addEventListener("focus", refresh);
+  input.addEventListener("blur", close);
+  input.addEventListener("keydown", (e) => {
+    if (list.hidden || items.length == 0) {
+      return;
+    }
+    if (e.key == "ArrowDown") {
+      e.preventDefault();
+      highlight((active + 1) % items.length);
+    } else if (e.key == "ArrowUp") {
+      e.preventDefault();
+      highlight(active <= 0 ? items.length - 1 : active - 1);
+    } else if (e.key == "Enter" && active != -1) {
+      e.preventDefault();
+      choose(active);
+    } else if (e.key == "Escape") {
+      close();
+    }
+  });
+}
+
+// Attractions, events and venues matching the keyword, from Ticketmaster's suggest API
+const suggestionKinds = { attraction: "artistTeam", event: "event", venue: "venue" };
+
+async function loadKeywordSuggestions(query, signal) {
+  if (query.trim().length < 2) {
+    return [];
   }
+  const data = await apiGet("/suggest", { keyword: query.trim() }, signal);
+  return data["suggestions"].map((suggestion) => ({
+    label: suggestion["name"],
+    detail:
+      t(suggestionKinds[suggestion["type"]]) +
+      (suggestion["detail"] ? " · " + suggestion["detail"] : ""),
+    suggestion: suggestion,
+  }));
 }
 
+// An event opens straight into its card; anything else becomes the keyword and searches
+function pickKeywordSuggestion(item) {
+  const suggestion = item.suggestion;
+  if (suggestion["type"] == "event") {
+    getDetails(suggestion["id"]);
+    return;
+  }
+  document.getElementById("keyword").value = suggestion["name"];
+  // requestSubmit, so the form still checks the location is filled in
+  document.getElementById("eventsSearch").requestSubmit();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  attachSuggestions(
+    document.getElementById("locationTextBox"),
+    document.getElementById("locationSuggestions"),
+    loadLocationSuggestions,
+    (item) => {
+      document.getElementById("locationTextBox").value = item.label;
+    }
+  );
+  attachSuggestions(
+    document.getElementById("keyword"),
+    document.getElementById("keywordSuggestions"),
+    loadKeywordSuggestions,
+    pickKeywordSuggestion
+  );
+});
+
 function locationCheckBox() {
   if (document.getElementById("locationCheck").checked) {
     document.getElementById("locationTextBox").style.display = "none";
@@ -791,10 +2416,12 @@ function locationCheckBox() {
 function clearForm() {
   document.getElementById("keyword").value = "";
   document.getElementById("distance").vlaue = "10";
-  document.getElementById("category").value = "default";
+  setClassification("default");
+  setWhen("", "");
   document.getElementById("locationCheck").checked = false;
   document.getElementById("locationTextBox").style.display = "block";
   document.getElementById("locationTextBox").required = true;
+  document.getElementById("locationSource").hidden = true;
 
   const elements = document.getElementsByClassName("downarrow");
   while (elements.length > 0) {
@@ -818,51 +2445,1217 @@ function clearForm() {
   }
 
   document.getElementById("eventsList").style.display = "none";
-  document.getElementById("Card1").style.display = "none";
+  const card1 = document.getElementById("Card1");
+  if (card1) {
+    card1.style.display = "none";
+  }
   // document.getElementById("parentcard2").style.display = "none";
+  writeUrlState({});
+}
+
+// Sort engine. Each column has a type; tableSort holds the active keys, primary first.
+// A plain header click sorts by that column alone (clicking it again flips it),
+// shift-click adds it as a further key or flips it in place.
+const sortColumns = {
+  date: "datetime",
+  event: "text",
+  genre: "text",
+  venue: "text",
+  distance: "number",
+};
+
+function sortTable(col, addKey) {
+  const existing = tableSort.find((key) => key.col == col);
+  if (addKey) {
+    if (existing) {
+      existing.direction = !existing.direction;
+    } else {
+      tableSort.push({ col: col, direction: true });
+    }
+  } else if (existing && tableSort.length == 1) {
+    existing.direction = !existing.direction;
+  } else {
+    tableSort = [{ col: col, direction: true }];
+  }
+
+  sortEvents(tableD["events"]);
+  renderTableRows(tableD);
+  updateSortIndicators();
 }
 
-let sortDirection1 = false;
-let sortDirection2 = false;
-let sortDirection3 = false;
-let sortDirection4 = false;
-
-function sortTable(col) {
-  if (col == "date") {
-    sortDirection1 = !sortDirection1;
-    sortstr(col, sortDirection1);
-  } else if (col == "event") {
-    sortDirection2 = !sortDirection2;
-    sortstr(col, sortDirection2);
-  } else if (col == "genre") {
-    sortDirection3 = !sortDirection3;
-    sortstr(col, sortDirection3);
-  } else if (col == "venue") {
-    sortDirection4 = !sortDirection4;
-    sortstr(col, sortDirection4);
-  }
-  populateTable(tableD);
-}
-
-function sortstr(col, sortDirection) {
-  tableD["events"] = tableD["events"].sort((a, b) => {
-    const nameA = a[col].toUpperCase();
-    const nameB = b[col].toUpperCase();
-    if (sortDirection) {
-      if (nameA < nameB) {
-        return -1;
+// Value a column sorts on; undefined when the event has none
+function sortValue(event, col) {
+  if (sortColumns[col] == "datetime") {
+    if (event["date"] == undefined) {
+      return undefined;
+    }
+    // Date-only events sort ahead of timed ones on the same day
+    return event["date"] + " " + (event["time"] || "");
+  }
+  return event[col];
+}
+
+function compareValues(type, a, b) {
+  if (type == "number") {
+    return a - b;
+  }
+  if (type == "text") {
+    return String(a).localeCompare(String(b), undefined, { sensitivity: "base", numeric: true });
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Sorts in place by every key in tableSort. Missing values always go last, and ties keep
+// their current order so earlier sorts survive.
+function sortEvents(events) {
+  if (events == 0 || tableSort.length == 0) {
+    return;
+  }
+  const indexed = events.map((event, index) => ({ event: event, index: index }));
+  indexed.sort((a, b) => {
+    for (const key of tableSort) {
+      const valueA = sortValue(a.event, key.col);
+      const valueB = sortValue(b.event, key.col);
+      if (valueA == undefined || valueB == undefined) {
+        if (valueA != valueB) {
+          return valueA == undefined ? 1 : -1;
+        }
+        continue;
       }
-      if (nameA > nameB) {
-        return 1;
+      const result = compareValues(sortColumns[key.col], valueA, valueB);
+      if (result != 0) {
+        return key.direction ? result : -result;
       }
-    } else {
-      if (nameA < nameB) {
-        return 1;
+    }
+    return a.index - b.index;
+  });
+  indexed.forEach((item, index) => {
+    events[index] = item.event;
+  });
+}
+
+// Arrow (and key number, for secondary keys) on each sorted header
+function updateSortIndicators() {
+  const headers = document.querySelectorAll("#headt th[data-col]");
+  headers.forEach((th) => {
+    const old = th.querySelector(".sortArrow");
+    if (old) {
+      old.remove();
+    }
+    th.removeAttribute("aria-sort");
+    th.querySelector(".sortButton").title = t("sortHint");
+
+    const position = tableSort.findIndex((key) => key.col == th.dataset.col);
+    if (position == -1) {
+      return;
+    }
+    const arrow = document.createElement("span");
+    arrow.setAttribute("class", "sortArrow");
+    arrow.setAttribute("aria-hidden", "true");
+    arrow.innerText =
+      (tableSort[position].direction ? "\u25b2" : "\u25bc") +
+      (tableSort.length > 1 ? position + 1 : "");
+    th.appendChild(arrow);
+    if (position == 0) {
+      th.setAttribute("aria-sort", tableSort[position].direction ? "ascending" : "descending");
+    }
+  });
+}
+
+// Favorites, kept in localStorage as a list of {id, title, date, time, timezone, venue, icon, url}
+const favoritesKey = "favoriteEvents";
+
+function loadFavorites() {
+  try {
+    return JSON.parse(localStorage.getItem(favoritesKey)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function storeFavorites(favorites) {
+  try {
+    localStorage.setItem(favoritesKey, JSON.stringify(favorites));
+  } catch (e) {
+    // Storage full or disabled: the stars and the panel keep showing what is stored
+  }
+  renderFavorites();
+}
+
+function isFavorite(id) {
+  return loadFavorites().some((favorite) => favorite["id"] == id);
+}
+
+function toggleFavorite(event) {
+  if (isFavorite(event["id"])) {
+    removeFavorite(event["id"]);
+  } else {
+    storeFavorites(loadFavorites().concat([event]));
+  }
+}
+
+function removeFavorite(id) {
+  storeFavorites(loadFavorites().filter((favorite) => favorite["id"] != id));
+}
+
+// Star toggle for a table row or the detail card. Every button for the same event is
+// kept in sync by renderFavorites().
+function favoriteButton(event) {
+  const button = document.createElement("button");
+  button.setAttribute("type", "button");
+  button.setAttribute("class", "favButton");
+  button.dataset.id = event["id"];
+  button.dataset.title = event["title"];
+  button.onclick = (e) => {
+    e.stopPropagation();
+    toggleFavorite(event);
+  };
+  setFavoriteButton(button, isFavorite(event["id"]));
+  return button;
+}
+
+function setFavoriteButton(button, saved) {
+  button.innerText = saved ? "\u2605" : "\u2606";
+  button.title = saved ? t("removeFavorite") : t("saveFavorite");
+  // A toggle keeps one name; aria-pressed says whether the event is saved
+  button.setAttribute("aria-label", t("saveFavorite") + ": " + button.dataset.title);
+  button.setAttribute("aria-pressed", saved ? "true" : "false");
+}
+
+// YYYY-MM-DD in local time, comparable with Ticketmaster's localDate
+function todayString() {
+  return dateString(new Date());
+}
+
+function renderFavorites() {
+  const favorites = loadFavorites();
+  const buttons = document.getElementsByClassName("favButton");
+  for (let i = 0; i < buttons.length; i++) {
+    setFavoriteButton(
+      buttons[i],
+      favorites.some((favorite) => favorite["id"] == buttons[i].dataset.id)
+    );
+  }
+
+  const panel = document.getElementById("favorites");
+  const list = document.getElementById("favoritesList");
+  list.innerHTML = "";
+  document.getElementById("favoritesCount").innerText = favorites.length;
+  panel.style.display = favorites.length > 0 ? "block" : "none";
+
+  const today = todayString();
+  favorites
+    .slice()
+    .sort((a, b) => (a["date"] < b["date"] ? -1 : a["date"] > b["date"] ? 1 : 0))
+    .forEach((favorite) => {
+      const item = document.createElement("li");
+      item.setAttribute("class", "favoriteItem");
+      if (favorite["date"] < today) {
+        item.classList.add("past");
+      }
+
+      if (favorite["icon"]) {
+        item.appendChild(el("img", { src: favorite["icon"], alt: "" }));
       }
-      if (nameA > nameB) {
-        return -1;
+
+      const title = el("button", { type: "button", class: "abc eventLink" }, favorite["title"]);
+      title.onclick = () => getDetails(favorite["id"]);
+      item.appendChild(title);
+
+      const info = document.createElement("span");
+      info.setAttribute("class", "favoriteInfo");
+      info.innerText = formatEventDate(favorite["date"]) + " \u00b7 " + favorite["venue"];
+      item.appendChild(info);
+
+      if (favorite["date"] < today) {
+        const badge = document.createElement("span");
+        badge.setAttribute("class", "pastBadge");
+        badge.innerText = t("past");
+        item.appendChild(badge);
+      }
+
+      const remove = document.createElement("button");
+      remove.setAttribute("type", "button");
+      remove.setAttribute("class", "removeFavorite");
+      remove.title = t("removeFavorite");
+      remove.setAttribute("aria-label", t("removeFavorite") + ": " + favorite["title"]);
+      remove.innerText = "\u2715";
+      remove.onclick = () => removeFavorite(favorite["id"]);
+      item.appendChild(remove);
+
+      list.appendChild(item);
+    });
+}
+
+document.addEventListener("DOMContentLoaded", renderFavorites);
+
+// Keep other open tabs in step
+window.addEventListener("storage", (e) => {
+  if (e.key == favoritesKey) {
+    renderFavorites();
+  }
+});
+
+// Map view: the search centre, the search radius and one pin per venue, drawn as SVG over
+// the geohash cells around the searched point (no map tiles).
+const svgNS = "http://www.w3.org/2000/svg";
+const mapWidth = 600;
+const mapHeight = 400;
+const milesPerDegree = 69.0; // one degree of latitude
+var mapVisible = false;
+
+function toggleMap() {
+  mapVisible = !mapVisible;
+  const toggle = document.getElementById("mapToggle");
+  toggle.dataset.i18n = mapVisible ? "hideMap" : "showMap";
+  toggle.innerText = t(toggle.dataset.i18n);
+  renderMap();
+}
+
+function svgElement(tag, attributes) {
+  const element = document.createElementNS(svgNS, tag);
+  for (const name in attributes) {
+    element.setAttribute(name, attributes[name]);
+  }
+  return element;
+}
+
+function highlightRows(ids, on) {
+  const rows = document.getElementsByClassName("eventRow");
+  for (let i = 0; i < rows.length; i++) {
+    if (ids.indexOf(rows[i].dataset.id) != -1) {
+      rows[i].classList.toggle("highlight", on);
+    }
+  }
+}
+
+function renderMap() {
+  const map = document.getElementById("mapView");
+  map.innerHTML = "";
+  if (!mapVisible || tableD == undefined || tableD["events"] == 0 || lastSearch == undefined) {
+    map.style.display = "none";
+    return;
+  }
+
+  const center = Geohash.decode(lastSearch["geoHash"]);
+  // The projection works in miles whatever unit the search radius was given in
+  const radius = Number(lastSearch["distance"]) / (lastSearch["unit"] == "km" ? kmPerMile : 1);
+  const lonScale = Math.cos((center.lat * Math.PI) / 180);
+  // Equirectangular projection around the centre, in miles east/north of it
+  const project = (lat, lon) => ({
+    x: (lon - center.lon) * lonScale * milesPerDegree,
+    y: (lat - center.lat) * milesPerDegree,
+  });
+
+  // One pin per venue, carrying every listed event held there
+  const venues = {};
+  filterEvents(tableD["events"]).forEach((event) => {
+    if (event["lat"] == undefined) {
+      return;
+    }
+    const key = event["lat"] + "," + event["lon"];
+    if (!(key in venues)) {
+      venues[key] = { name: event["venue"], pos: project(event["lat"], event["lon"]), events: [] };
+    }
+    venues[key].events.push(event);
+  });
+
+  // Fit the radius and every pin, with a margin
+  let extent = radius;
+  Object.values(venues).forEach((venue) => {
+    extent = Math.max(extent, Math.abs(venue.pos.x) / 1.5, Math.abs(venue.pos.y));
+  });
+  extent *= 1.1;
+  const scale = mapHeight / 2 / extent; // pixels per mile
+  const toPx = (pos) => ({ x: mapWidth / 2 + pos.x * scale, y: mapHeight / 2 - pos.y * scale });
+
+  const svg = svgElement("svg", {
+    viewBox: "0 0 " + mapWidth + " " + mapHeight,
+    class: "map",
+    // A group, not an img: an img's children are presentational and would hide the pins
+    role: "group",
+    "aria-label": t("mapLabel"),
+  });
+
+  drawGeohashGrid(svg, lastSearch["geoHash"], extent, lonScale, project, toPx);
+
+  const origin = toPx({ x: 0, y: 0 });
+  svg.appendChild(
+    svgElement("circle", { cx: origin.x, cy: origin.y, r: radius * scale, class: "mapRadius" })
+  );
+  const radiusLabel = svgElement("text", {
+    x: origin.x + 4,
+    y: origin.y - radius * scale - 4,
+    class: "mapLabel",
+  });
+  const shownRadius = distanceUnit == "km" ? radius * kmPerMile : radius;
+  radiusLabel.textContent = formatNumber(shownRadius, 1) + " " + t(distanceUnit);
+  svg.appendChild(radiusLabel);
+
+  const centerDot = svgElement("circle", { cx: origin.x, cy: origin.y, r: 5, class: "mapCenter" });
+  const centerTitle = svgElement("title", {});
+  centerTitle.textContent = t("searchCentre");
+  centerDot.appendChild(centerTitle);
+  svg.appendChild(centerDot);
+
+  Object.values(venues).forEach((venue) => {
+    const ids = venue.events.map((event) => event["id"]);
+    const pos = toPx(venue.pos);
+    const pin = svgElement("g", {
+      class: "mapPin",
+      transform: "translate(" + pos.x + "," + pos.y + ")",
+      tabindex: "0",
+      role: "button",
+      "aria-label": venue.name + ": " + venue.events.map((event) => event["event"]).join(", "),
+    });
+    pin.appendChild(svgElement("path", { d: "M0,0 L-7,-14 A8,8 0 1,1 7,-14 Z" }));
+    const title = svgElement("title", {});
+    title.textContent =
+      venue.name +
+      "\n" +
+      venue.events.map((event) => formatEventDate(event["date"]) + " " + event["event"]).join("\n");
+    pin.appendChild(title);
+    pin.onmouseenter = pin.onfocus = () => highlightRows(ids, true);
+    pin.onmouseleave = pin.onblur = () => highlightRows(ids, false);
+    pin.onclick = () => getDetails(ids[0]);
+    pin.onkeydown = (e) => {
+      if (e.key == "Enter" || e.key == " ") {
+        e.preventDefault();
+        getDetails(ids[0]);
+      }
+    };
+    svg.appendChild(pin);
+  });
+
+  map.appendChild(svg);
+  map.style.display = "block";
+}
+
+// Outlines the searched geohash cell and its 8 neighbours, at the finest precision whose
+// 3x3 block still covers the visible area, as a reference grid under the pins.
+function drawGeohashGrid(svg, geohash, extent, lonScale, project, toPx) {
+  let precision = 1;
+  while (precision < geohash.length) {
+    const bounds = Geohash.bounds(geohash.slice(0, precision + 1));
+    const height = (bounds.ne.lat - bounds.sw.lat) * milesPerDegree;
+    const width = (bounds.ne.lon - bounds.sw.lon) * lonScale * milesPerDegree;
+    if (height * 3 < extent * 2 || width * 3 < extent * 3) {
+      break;
+    }
+    precision++;
+  }
+
+  const cell = geohash.slice(0, precision);
+  [cell].concat(Object.values(Geohash.neighbours(cell))).forEach((hash) => {
+    const bounds = Geohash.bounds(hash);
+    const sw = toPx(project(bounds.sw.lat, bounds.sw.lon));
+    const ne = toPx(project(bounds.ne.lat, bounds.ne.lon));
+    svg.appendChild(
+      svgElement("rect", {
+        x: sw.x,
+        y: ne.y,
+        width: ne.x - sw.x,
+        height: sw.y - ne.y,
+        class: hash == cell ? "mapCell mapCellCenter" : "mapCell",
+      })
+    );
+    const label = svgElement("text", { x: sw.x + 4, y: ne.y + 14, class: "mapCellLabel" });
+    label.textContent = hash;
+    svg.appendChild(label);
+  });
+}
+
+// iCalendar (RFC 5545) export. Takes events shaped like the detail card or a favorite:
+// {id, title, date, time, timezone, venue, url}.
+const calendarDuration = 3 * 60 * 60 * 1000; // Ticketmaster has no end time; assume 3 hours
+
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type: type });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+
+function downloadCalendar(events, filename) {
+  if (filename == undefined) {
+    filename = events[0]["title"].replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() + ".ics";
+  }
+  downloadFile(filename, buildCalendar(events), "text/calendar;charset=utf-8");
+}
+
+// Every event currently listed, after filters, in table order
+function exportListedCalendar() {
+  const events = filterEvents(tableD["events"]).map((event) =>
+    Object.assign({}, event, { title: event["event"] })
+  );
+  if (events.length > 0) {
+    downloadCalendar(events, "events.ics");
+  }
+}
+
+function exportFavoritesCalendar() {
+  const favorites = loadFavorites();
+  if (favorites.length > 0) {
+    downloadCalendar(favorites, "favorites.ics");
+  }
+}
+
+function buildCalendar(events) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Events Search//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  const stamp = icsDateTime(new Date());
+  events.forEach((event) => {
+    lines.push("BEGIN:VEVENT");
+    lines.push("UID:" + event["id"] + "@events-search");
+    lines.push("DTSTAMP:" + stamp);
+    icsTimes(event).forEach((line) => lines.push(line));
+    lines.push("SUMMARY:" + icsText(event["title"]));
+    if (event["venue"] != undefined) {
+      lines.push("LOCATION:" + icsText(event["venue"]));
+    }
+    if (event["url"] != undefined) {
+      lines.push("URL:" + event["url"]);
+      lines.push("DESCRIPTION:" + icsText("Tickets: " + event["url"]));
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// DTSTART/DTEND lines. Timed events with a known zone become UTC; timed events without one
+// stay floating local time; date-only events are all-day.
+function icsTimes(event) {
+  const date = event["date"].replace(/-/g, "");
+  if (event["time"] == undefined) {
+    const next = new Date(Date.UTC(...dateParts(event["date"])) + 24 * 60 * 60 * 1000);
+    return ["DTSTART;VALUE=DATE:" + date, "DTEND;VALUE=DATE:" + icsDateTime(next).slice(0, 8)];
+  }
+
+  const [hour, minute, second] = event["time"].split(":").map(Number);
+  const [year, month, day] = dateParts(event["date"]);
+  if (event["timezone"] != undefined) {
+    const start = zonedTimeToUtc(year, month, day, hour, minute, second || 0, event["timezone"]);
+    return [
+      "DTSTART:" + icsDateTime(start),
+      "DTEND:" + icsDateTime(new Date(start.getTime() + calendarDuration)),
+    ];
+  }
+  const local = new Date(Date.UTC(year, month, day, hour, minute, second || 0));
+  return [
+    "DTSTART:" + icsDateTime(local).slice(0, -1),
+    "DTEND:" + icsDateTime(new Date(local.getTime() + calendarDuration)).slice(0, -1),
+  ];
+}
+
+// "2026-11-06" -> [2026, 10, 6] (month is 0-based, as Date.UTC wants)
+function dateParts(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return [year, month - 1, day];
+}
+
+// 20261107T033000Z
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Converts a wall-clock time in an IANA zone to the UTC instant, using Intl to find the
+// zone's offset (checked twice so times next to a DST change land on the right side).
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+  const wall = Date.UTC(year, month, day, hour, minute, second);
+  let utc = wall - zoneOffset(wall, timeZone);
+  utc = wall - zoneOffset(utc, timeZone);
+  return new Date(utc);
+}
+
+function zoneOffset(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(new Date(instant))
+    .forEach((part) => {
+      parts[part.type] = Number(part.value);
+    });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+function icsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Folds a content line to 75 octets, continuation lines starting with a space
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  let folded = "";
+  let width = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (width + size > 75) {
+      folded += "\r\n ";
+      width = 1;
+    }
+    folded += char;
+    width += size;
+  }
+  return folded;
+}
+
+// CSV / JSON export of the rows currently shown (filters and sort applied)
+const exportColumns = [
+  { key: "id", label: "ID" },
+  { key: "date", label: "Date" },
+  { key: "time", label: "Time" },
+  { key: "event", label: "Event" },
+  { key: "genre", label: "Genre" },
+  { key: "venue", label: "Venue" },
+  { key: "url", label: "Ticketmaster URL" },
+];
+
+function exportRows() {
+  return filterEvents(tableD["events"]).map((event) => {
+    const row = {};
+    exportColumns.forEach((column) => {
+      row[column.key] = event[column.key] == undefined ? "" : event[column.key];
+    });
+    return row;
+  });
+}
+
+function exportJSON() {
+  downloadFile("events.json", JSON.stringify(exportRows(), null, 2), "application/json");
+}
+
+function exportCSV() {
+  const lines = [exportColumns.map((column) => csvField(column.label)).join(",")];
+  exportRows().forEach((row) => {
+    lines.push(exportColumns.map((column) => csvField(row[column.key])).join(","));
+  });
+  // BOM so spreadsheet apps read the file as UTF-8
+  downloadFile("events.csv", "\ufeff" + lines.join("\r\n") + "\r\n", "text/csv;charset=utf-8");
+}
+
+// RFC 4180 quoting. Values a spreadsheet would run as a formula get a leading quote.
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+// Compare: up to four events ticked in the table, their details fetched and laid out side by
+// side, with the rows where they differ highlighted.
+const compareMax = 4;
+var compareIds = []; // ticked events, in the order they were ticked
+var compareData; // the events shown in #compareView, kept to redraw it in another locale
+
+// value() is what's compared between events, show() what's displayed
+const compareRows = [
+  {
+    key: "date",
+    value: (event) => event["date"] + " " + (event["time"] || ""),
+    show: (event) => formatEventDateTime(event["date"], event["time"]),
+  },
+  { key: "venue", value: (event) => event["venue"], show: (event) => event["venue"] },
+  { key: "genres", value: (event) => event["genre"], show: (event) => event["genre"] || "-" },
+  {
+    key: "priceRanges",
+    value: (event) => JSON.stringify(event["price_ranges"] || null),
+    show: (event) => (event["price_ranges"] ? formatPriceRange(event["price_ranges"]) : "-"),
+  },
+  {
+    key: "ticketStatus",
+    value: (event) => event["ticket_status"],
+    show: (event) => ticketStatusBadge(event["ticket_status"]),
+  },
+  {
+    key: "seatMap",
+    value: (event) => event["seat_map"] || "",
+    show: (event) =>
+      event["seat_map"]
+        ? el("img", { src: event["seat_map"], alt: t("seatMapOf", { venue: event["venue"] }) })
+        : "-",
+  },
+];
+
+function compareCheckbox(event) {
+  const box = el("input", {
+    type: "checkbox",
+    class: "compareBox",
+    "aria-label": t("compareEvent", { title: event["event"] }),
+  });
+  box.dataset.id = event["id"];
+  box.checked = compareIds.indexOf(event["id"]) != -1;
+  box.disabled = !box.checked && compareIds.length >= compareMax;
+  box.onchange = () => toggleCompare(event["id"], box.checked);
+  return box;
+}
+
+function toggleCompare(id, on) {
+  compareIds = compareIds.filter((other) => other != id);
+  if (on && compareIds.length < compareMax) {
+    compareIds.push(id);
+  }
+  updateCompareBar();
+}
+
+// Syncs the row checkboxes (disabling the rest once four are ticked) and the compare bar
+function updateCompareBar() {
+  const full = compareIds.length >= compareMax;
+  document.querySelectorAll(".compareBox").forEach((box) => {
+    box.checked = compareIds.indexOf(box.dataset.id) != -1;
+    box.disabled = full && !box.checked;
+  });
+  document.getElementById("compareBar").hidden = compareIds.length == 0;
+  document.getElementById("compareCount").innerText = t("compareCount", {
+    count: formatNumber(compareIds.length),
+    max: formatNumber(compareMax),
+  });
+  document.getElementById("compareButton").disabled = compareIds.length < 2;
+}
+
+function clearCompare() {
+  compareIds = [];
+  updateCompareBar();
+  closeCompare();
+}
+
+async function openCompare() {
+  const signal = startRequest("compare");
+  let results;
+  try {
+    results = await Promise.all(compareIds.map((id) => apiGet("/get_card1", { id: id }, signal)));
+  } catch (e) {
+    if (!isAbort(e)) {
+      showError("compare", e);
+    }
+    return;
+  } finally {
+    finishRequest("compare", signal);
+  }
+  compareData = results.map((result) => result["card1"][0]);
+  renderCompare();
+}
+
+function renderCompare() {
+  const view = document.getElementById("compareView");
+  view.innerHTML = "";
+
+  const columns = compareData.map((event) => {
+    const title = el("button", { type: "button", class: "abc eventLink" }, event["title"]);
+    title.onclick = () => getDetails(event["id"]);
+    const remove = el(
+      "button",
+      {
+        type: "button",
+        class: "removeCompare",
+        "aria-label": t("removeFromCompare", { title: event["title"] }),
+      },
+      "\u2715"
+    );
+    remove.onclick = () => {
+      toggleCompare(event["id"], false);
+      compareData = compareData.filter((other) => other["id"] != event["id"]);
+      if (compareData.length < 2) {
+        closeCompare();
+      } else {
+        renderCompare();
       }
+    };
+    return el("th", { scope: "col" }, [title, remove]);
+  });
+
+  const rows = compareRows.map((row) => {
+    const values = compareData.map(row.value);
+    const differs = values.some((value) => value != values[0]);
+    const label = el("th", { scope: "row" }, t(row.key));
+    if (differs) {
+      label.appendChild(el("span", { class: "visuallyHidden" }, " " + t("differs")));
     }
-    return 0;
+    return el(
+      "tr",
+      { class: differs ? "differs" : undefined },
+      [label].concat(compareData.map((event) => el("td", {}, row.show(event))))
+    );
+  });
+
+  const heading = el("h2", { id: "compareHeading", tabindex: "-1" }, t("compareHeading"));
+  const close = el("button", { type: "button", class: "closeCompare" }, t("close"));
+  close.onclick = closeCompare;
+  view.append(
+    heading,
+    close,
+    el("table", { class: "compareTable" }, [
+      el("thead", {}, el("tr", {}, [el("td")].concat(columns))),
+      el("tbody", {}, rows),
+    ])
+  );
+  view.hidden = false;
+  view.scrollIntoView();
+  heading.focus({ preventScroll: true });
+}
+
+function closeCompare() {
+  cancelRequest("compare");
+  compareData = undefined;
+  document.getElementById("compareView").hidden = true;
+}
+
+// Localisation. Labels come from `strings`, one table per language, falling back to English
+// for anything a table lacks; dates, times, numbers and prices are formatted with Intl. Both
+// follow the locale picked in #localeSelect, or the browser's when none is picked.
+const strings = {
+  en: {
+    heading: "Events Search",
+    language: "Language",
+    browserDefault: "Browser default",
+    keyword: "Keyword",
+    distance: "Distance",
+    miles: "miles",
+    kilometres: "km",
+    mi: "mi",
+    km: "km",
+    category: "Category",
+    categoryDefault: "Default",
+    genre: "Genre",
+    subGenre: "Sub-genre",
+    any: "Any",
+    from: "From",
+    to: "To",
+    tonight: "TONIGHT",
+    thisWeekend: "THIS WEEKEND",
+    next30Days: "NEXT 30 DAYS",
+    anyTime: "ANY TIME",
+    location: "Location",
+    autoDetect: "Auto-Detection Location",
+    search: "SEARCH",
+    clear: "CLEAR",
+    searching: "Searching...",
+    recent: "Recent",
+    sourceDevice: "Using your device location",
+    sourceIP: "Using your approximate location from your IP address",
+    sourceIPCity: "Using your approximate location from your IP address ({city})",
+    sourceRecent: "Using recent location {label}",
+    sourceAddress: "Using {label}",
+    accurateTo: ", accurate to {accuracy}",
+    favorites: "Favorites",
+    saveFavorite: "Save to favorites",
+    removeFavorite: "Remove from favorites",
+    past: "Past",
+    rangeOn: "Showing events on {date}",
+    rangeFromTo: "Showing events from {from} to {to}",
+    rangeFrom: "Showing events from {from} onward",
+    rangeUntil: "Showing events until {to}",
+    exportCSV: "EXPORT CSV",
+    exportJSON: "EXPORT JSON",
+    exportCalendar: "EXPORT CALENDAR",
+    showMap: "SHOW MAP",
+    hideMap: "HIDE MAP",
+    mapLabel: "Map of search results",
+    resultsTable: "Search results",
+    compare: "Compare",
+    compareButton: "COMPARE",
+    clearSelection: "CLEAR SELECTION",
+    compareCount: "{count} of {max} selected to compare",
+    compareEvent: "Compare {title}",
+    removeFromCompare: "Remove {title} from the comparison",
+    compareHeading: "Compare events",
+    loadingCompare: "Loading events to compare...",
+    differs: "(differs)",
+    seatMap: "Seat Map",
+    close: "CLOSE",
+    seatMapOf: "Seat map of {venue}",
+    searchCentre: "Search centre",
+    titleContains: "Title contains",
+    allGenres: "All genres",
+    allVenues: "All venues",
+    showingOf: "Showing {shown} of {total}",
+    reset: "RESET",
+    date: "Date",
+    icon: "Icon",
+    event: "Event",
+    venue: "Venue",
+    save: "Save",
+    sortHint: "Click to sort, shift-click to add a secondary sort",
+    noRecords: "No Records Found",
+    noMatches: "No events match the filters",
+    showingEvents: "Showing {shown} of {total} events",
+    loadMore: "LOAD MORE",
+    loading: "LOADING...",
+    loadingDetails: "Loading event details...",
+    loadingVenue: "Loading venue details...",
+    artistTeam: "Artist/Team",
+    genres: "Genres",
+    priceRanges: "Price Ranges",
+    ticketStatus: "Ticket Status",
+    onsale: "On Sale",
+    offsale: "Off Sale",
+    cancelled: "Cancelled",
+    rescheduled: "Rescheduled",
+    buyTicketAt: "Buy Ticket At",
+    addToCalendar: "ADD TO CALENDAR",
+    showVenueDetails: "Show Venue Details",
+    address: "Address:",
+    openInMaps: "Open in Google Maps",
+    moreEventsAtVenue: "More events at this venue",
+    upcomingAtVenue: "Upcoming events",
+    loadingVenueEvents: "Loading upcoming events...",
+    noUpcomingEvents: "No upcoming events at this venue",
+    previousPage: "PREVIOUS",
+    nextPage: "NEXT",
+    pageOf: "Page {page} of {pages}",
+    closeArtist: "Close artist details",
+    artistLinks: "Links",
+    artistEventsNear: "Upcoming events within {distance} {unit}",
+    artistEventsUpcoming: "Upcoming events",
+    loadingArtistEvents: "Loading upcoming events...",
+    noArtistEvents: "No upcoming events",
+    thisEvent: "This event",
+    locationNotFound: "We couldn't find that location. Check the spelling or try a nearby city.",
+    locationNotDetected: "We couldn't detect your location. Enter a location instead.",
+    locationServiceDown: "The location service is unavailable right now. Please try again in a moment.",
+    eventsServiceDown: "The events service is unavailable right now. Please try again in a moment.",
+    eventNotFound: "Event not found.",
+    venueNotFound: "Venue not found.",
+    notFound: "Not found.",
+    linkHomepage: "Website",
+    linkYoutube: "YouTube",
+    linkSpotify: "Spotify",
+    linkItunes: "Apple Music",
+    linkInstagram: "Instagram",
+    linkTwitter: "X (Twitter)",
+    linkFacebook: "Facebook",
+    linkWiki: "Wikipedia",
+    linkLastfm: "Last.fm",
+    linkMusicbrainz: "MusicBrainz",
+    linkTicketmaster: "Ticketmaster",
+    accuracyKm: "\u00b1{value} km",
+    accuracyM: "\u00b1{value} m",
+    compassN: "N",
+    compassNE: "NE",
+    compassE: "E",
+    compassSE: "SE",
+    compassS: "S",
+    compassSW: "SW",
+    compassW: "W",
+    compassNW: "NW",
+  },
+  es: {
+    heading: "Búsqueda de eventos",
+    language: "Idioma",
+    browserDefault: "Predeterminado del navegador",
+    keyword: "Palabra clave",
+    distance: "Distancia",
+    miles: "millas",
+    category: "Categoría",
+    categoryDefault: "Todas",
+    genre: "Género",
+    subGenre: "Subgénero",
+    any: "Cualquiera",
+    from: "Desde",
+    to: "Hasta",
+    tonight: "ESTA NOCHE",
+    thisWeekend: "ESTE FIN DE SEMANA",
+    next30Days: "PRÓXIMOS 30 DÍAS",
+    anyTime: "CUALQUIER FECHA",
+    location: "Ubicación",
+    autoDetect: "Detectar ubicación automáticamente",
+    search: "BUSCAR",
+    clear: "BORRAR",
+    searching: "Buscando...",
+    recent: "Reciente",
+    sourceDevice: "Usando la ubicación de tu dispositivo",
+    sourceIP: "Usando tu ubicación aproximada según tu dirección IP",
+    sourceIPCity: "Usando tu ubicación aproximada según tu dirección IP ({city})",
+    sourceRecent: "Usando la ubicación reciente {label}",
+    sourceAddress: "Usando {label}",
+    accurateTo: ", con una precisión de {accuracy}",
+    favorites: "Favoritos",
+    saveFavorite: "Guardar en favoritos",
+    removeFavorite: "Quitar de favoritos",
+    past: "Pasado",
+    rangeOn: "Eventos del {date}",
+    rangeFromTo: "Eventos del {from} al {to}",
+    rangeFrom: "Eventos a partir del {from}",
+    rangeUntil: "Eventos hasta el {to}",
+    exportCSV: "EXPORTAR CSV",
+    exportJSON: "EXPORTAR JSON",
+    exportCalendar: "EXPORTAR CALENDARIO",
+    showMap: "MOSTRAR MAPA",
+    hideMap: "OCULTAR MAPA",
+    mapLabel: "Mapa de resultados",
+    resultsTable: "Resultados de la búsqueda",
+    compare: "Comparar",
+    compareButton: "COMPARAR",
+    clearSelection: "BORRAR SELECCIÓN",
+    compareCount: "{count} de {max} seleccionados para comparar",
+    compareEvent: "Comparar {title}",
+    removeFromCompare: "Quitar {title} de la comparación",
+    compareHeading: "Comparar eventos",
+    loadingCompare: "Cargando eventos para comparar...",
+    differs: "(difiere)",
+    seatMap: "Plano de asientos",
+    close: "CERRAR",
+    seatMapOf: "Plano de asientos de {venue}",
+    searchCentre: "Centro de búsqueda",
+    titleContains: "El título contiene",
+    allGenres: "Todos los géneros",
+    allVenues: "Todos los recintos",
+    showingOf: "Mostrando {shown} de {total}",
+    reset: "RESTABLECER",
+    date: "Fecha",
+    icon: "Imagen",
+    event: "Evento",
+    venue: "Recinto",
+    save: "Guardar",
+    sortHint: "Haz clic para ordenar; mayús+clic añade un orden secundario",
+    noRecords: "No se encontraron resultados",
+    noMatches: "Ningún evento coincide con los filtros",
+    showingEvents: "Mostrando {shown} de {total} eventos",
+    loadMore: "CARGAR MÁS",
+    loading: "CARGANDO...",
+    loadingDetails: "Cargando detalles del evento...",
+    loadingVenue: "Cargando detalles del recinto...",
+    artistTeam: "Artista/Equipo",
+    genres: "Géneros",
+    priceRanges: "Precios",
+    ticketStatus: "Estado de las entradas",
+    onsale: "A la venta",
+    offsale: "Fuera de venta",
+    cancelled: "Cancelado",
+    rescheduled: "Reprogramado",
+    buyTicketAt: "Comprar entradas en",
+    addToCalendar: "AÑADIR AL CALENDARIO",
+    showVenueDetails: "Mostrar detalles del recinto",
+    address: "Dirección:",
+    openInMaps: "Abrir en Google Maps",
+    moreEventsAtVenue: "Más eventos en este recinto",
+    upcomingAtVenue: "Próximos eventos",
+    loadingVenueEvents: "Cargando próximos eventos...",
+    noUpcomingEvents: "No hay próximos eventos en este recinto",
+    previousPage: "ANTERIOR",
+    nextPage: "SIGUIENTE",
+    pageOf: "Página {page} de {pages}",
+    closeArtist: "Cerrar detalles del artista",
+    artistLinks: "Enlaces",
+    artistEventsNear: "Próximos eventos a menos de {distance} {unit}",
+    artistEventsUpcoming: "Próximos eventos",
+    loadingArtistEvents: "Cargando próximos eventos...",
+    noArtistEvents: "No hay próximos eventos",
+    thisEvent: "Este evento",
+    locationNotFound: "No encontramos esa ubicación. Revisa la ortografía o prueba con una ciudad cercana.",
+    locationNotDetected: "No pudimos detectar tu ubicación. Introduce una ubicación.",
+    locationServiceDown: "El servicio de ubicación no está disponible ahora. Inténtalo de nuevo en un momento.",
+    eventsServiceDown: "El servicio de eventos no está disponible ahora. Inténtalo de nuevo en un momento.",
+    eventNotFound: "Evento no encontrado.",
+    venueNotFound: "Recinto no encontrado.",
+    notFound: "No encontrado.",
+    linkHomepage: "Sitio web",
+    linkYoutube: "YouTube",
+    linkSpotify: "Spotify",
+    linkItunes: "Apple Music",
+    linkInstagram: "Instagram",
+    linkTwitter: "X (Twitter)",
+    linkFacebook: "Facebook",
+    linkWiki: "Wikipedia",
+    linkLastfm: "Last.fm",
+    linkMusicbrainz: "MusicBrainz",
+    linkTicketmaster: "Ticketmaster",
+    accuracyKm: "\u00b1{value} km",
+    accuracyM: "\u00b1{value} m",
+    compassSW: "SO",
+    compassW: "O",
+    compassNW: "NO",
+  },
+};
+
+const preferencesKey = "preferences";
+var preferences = loadPreferences(); // {locale, unit}
+distanceUnit = preferences["unit"] || distanceUnit;
+
+function loadPreferences() {
+  try {
+    return JSON.parse(localStorage.getItem(preferencesKey)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function storePreferences() {
+  preferences["unit"] = distanceUnit;
+  try {
+    localStorage.setItem(preferencesKey, JSON.stringify(preferences));
+  } catch (e) {
+    // Storage full or disabled: the choice lasts for this page only
+  }
+}
+
+function currentLocale() {
+  return preferences["locale"] || navigator.language || "en-US";
+}
+
+// The string for `key` in the current language, with {name} placeholders filled from `values`
+function t(key, values) {
+  const table = strings[currentLocale().split("-")[0].toLowerCase()] || strings.en;
+  let text = key in table ? table[key] : key in strings.en ? strings.en[key] : key;
+  for (const name in values) {
+    text = text.split("{" + name + "}").join(values[name]);
+  }
+  return text;
+}
+
+// Ticketmaster's localDate/localTime are wall-clock values at the venue. Formatting them as
+// UTC instants in UTC shows exactly that wall clock, whatever the browser's own time zone.
+function wallClock(date, time) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute, second] = (time || "00:00:00").split(":").map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second || 0);
+}
+
+function formatEventDate(date, options) {
+  if (date == undefined) {
+    return "";
+  }
+  return new Intl.DateTimeFormat(
+    currentLocale(),
+    Object.assign({ timeZone: "UTC" }, options || { dateStyle: "medium" })
+  ).format(wallClock(date));
+}
+
+function formatEventTime(time) {
+  return new Intl.DateTimeFormat(currentLocale(), { timeStyle: "short", timeZone: "UTC" }).format(
+    wallClock("1970-01-01", time)
+  );
+}
+
+// Date and time together; a missing time (TBA events) leaves just the date
+function formatEventDateTime(date, time) {
+  if (time == undefined) {
+    return formatEventDate(date);
+  }
+  return new Intl.DateTimeFormat(currentLocale(), {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC",
+  }).format(wallClock(date, time));
+}
+
+function formatNumber(value, fractionDigits) {
+  return new Intl.NumberFormat(currentLocale(), {
+    minimumFractionDigits: fractionDigits || 0,
+    maximumFractionDigits: fractionDigits || 0,
+  }).format(value);
+}
+
+// {min, max, currency} from /get_card1; either end may be missing
+function formatPriceRange(range) {
+  const format = new Intl.NumberFormat(currentLocale(), {
+    style: "currency",
+    currency: range["currency"],
+  });
+  if (range["min"] == undefined || range["max"] == undefined || range["min"] == range["max"]) {
+    return format.format(range["min"] != undefined ? range["min"] : range["max"]);
+  }
+  if (typeof format.formatRange == "function") {
+    return format.formatRange(range["min"], range["max"]);
+  }
+  return format.format(range["min"]) + " \u2013 " + format.format(range["max"]);
+}
+
+// Replaces an element's own text (its first text node), leaving child elements such as the
+// red required-field asterisks or sort arrows in place.
+function setOwnText(element, text) {
+  const node = element.firstChild;
+  if (node && node.nodeType == Node.TEXT_NODE) {
+    node.data = node.data.match(/^\s*/)[0] + text + node.data.match(/\s*$/)[0];
+  } else {
+    element.insertBefore(document.createTextNode(text), node);
+  }
+}
+
+function applyStrings() {
+  document.documentElement.lang = currentLocale();
+  document.querySelectorAll("[data-i18n]").forEach((element) => {
+    setOwnText(element, t(element.dataset.i18n));
+  });
+  document.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
   });
-}
\ No newline at end of file
+}
+
+// Redraws everything holding formatted values; the open cards are re-read (from the cache)
+async function setLocale(locale) {
+  preferences["locale"] = locale;
+  storePreferences();
+  applyStrings();
+  renderFavorites();
+  updateSortIndicators();
+  if (tableD != undefined && tableD["events"] != 0) {
+    renderTableRows(tableD);
+  }
+  if (!document.getElementById("activeRange").hidden) {
+    showActiveRange(shownWhen);
+  }
+  if (!document.getElementById("locationSource").hidden && shownLocation != undefined) {
+    showLocationSource(shownLocation);
+  }
+  const noData = document.getElementById("nodata");
+  if (noData) {
+    noData.innerText = t("noRecords");
+  }
+  redrawErrors();
+  updateCompareBar();
+  if (compareData != undefined) {
+    renderCompare();
+  }
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("event") && document.getElementById("Card1")) {
+    const venueOpen = document.getElementById("container") != undefined;
+    const artistOpen = shownAttraction;
+    // Redrawn in place from the cached responses: the URL already says what is open
+    restoringState = true;
+    try {
+      await getDetails(params.get("event"));
+      if (venueOpen) {
+        await card2(prev_venue);
+      }
+    } finally {
+      restoringState = false;
+    }
+    const opener = attractionButtons().find((button) => button.dataset.attraction == artistOpen);
+    if (opener) {
+      opener.onclick();
+    }
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document.getElementById("localeSelect").value = preferences["locale"] || "";
+  document.getElementById("distanceUnit").value = distanceUnit;
+  applyStrings();
+});
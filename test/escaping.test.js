@@ -0,0 +1,210 @@
+// Backend data (names, addresses, URLs) is rendered as text and checked links: hostile
+// payloads pushed through every card must not create elements, inline handlers or
+// script URLs.
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage, waitFor } = require("./helpers/page");
+
+const markup =
+  '<img src=x onerror="window.pwned=1"><svg onload="window.pwned=1"></svg><script>window.pwned=1</script>';
+const badUrls = [
+  { name: "javascript", url: "javascript:window.pwned=1" },
+  { name: "mixed-case javascript", url: " JaVaScRiPt:window.pwned=1" },
+  { name: "data", url: "data:text/html,<script>window.pwned=1</script>" },
+  { name: "vbscript", url: "vbscript:window.pwned=1" },
+];
+const scriptUrl = /^\s*(javascript|data|vbscript):/i;
+
+function hostileRow(id, url) {
+  return {
+    id: id,
+    date: "2030-11-06",
+    time: "19:30:00",
+    icon: url,
+    event: markup,
+    url: url,
+    genre: markup,
+    venue: markup,
+    venue_id: "v1",
+    lat: 34.04,
+    lon: -118.26,
+  };
+}
+
+function hostileEvent(id, url) {
+  return {
+    id: id,
+    title: markup,
+    date: "2030-11-06",
+    time: "19:30:00",
+    url: url,
+    icon: url,
+    venue: markup,
+    venue_id: "v1",
+    genre: markup,
+    price_ranges: { currency: "USD", min: 10, max: 20 },
+    ticket_status: markup,
+    buy_ticket_at: url,
+    seat_map: url,
+    attractions: [
+      {
+        id: "a1",
+        name: markup,
+        url: url,
+        image: url,
+        classification: markup,
+        links: badUrls.map((bad) => ({ type: markup, url: bad.url })),
+      },
+    ],
+  };
+}
+
+function page(events) {
+  return { events: events, page: { number: 0, size: 5, totalElements: events.length, totalPages: 1 } };
+}
+
+// Nothing under `root` came from the payload's markup: no injected elements, no inline
+// handlers, no script URLs; and the payload is there as plain text
+function assertInert(window, root) {
+  assert.ok(root, "rendered container exists");
+  assert.ok(root.textContent.includes(markup), "payload shown as text");
+  for (const element of root.querySelectorAll("*")) {
+    assert.ok(!/^(script|iframe|object|embed)$/i.test(element.tagName), "no " + element.tagName);
+    assert.ok(element.namespaceURI != "http://www.w3.org/2000/svg", "no injected svg");
+    for (const attribute of element.attributes) {
+      assert.ok(!/^on/i.test(attribute.name), "no inline handler " + attribute.name);
+      if (attribute.name == "href" || attribute.name == "src") {
+        assert.ok(!scriptUrl.test(attribute.value), "no script URL in " + attribute.name);
+        assert.notStrictEqual(attribute.value, "x", "no injected image");
+      }
+    }
+  }
+  assert.strictEqual(window.pwned, undefined);
+}
+
+// Links and images built from a bad URL are left without one
+function assertUrlsDropped(root) {
+  for (const element of root.querySelectorAll("a, img")) {
+    const url = element.getAttribute("href") || element.getAttribute("src");
+    assert.ok(url == null || /^https?:/.test(url), "unexpected URL " + url);
+  }
+}
+
+for (const { name, url } of badUrls) {
+  test("results table rows escape names and drop " + name + " URLs", async () => {
+    const window = loadPage();
+    window.tableD = page([hostileRow("e1", url)]);
+    await window.populateTable(window.tableD);
+    const table = window.document.getElementById("eventsList");
+    assertInert(window, table);
+    assertUrlsDropped(table);
+    for (const icon of table.querySelectorAll(".eventRow img")) {
+      assert.strictEqual(icon.getAttribute("src"), null);
+    }
+    window.close();
+  });
+
+  test("event card escapes every field and drops " + name + " URLs", async () => {
+    const window = loadPage();
+    await window.populateCard1({ card1: [hostileEvent("e1", url)] });
+    const card = window.document.getElementById("Card1");
+    assertInert(window, card);
+    assertUrlsDropped(card);
+    const links = card.querySelectorAll("a");
+    assert.ok(links.length > 0);
+    for (const link of links) {
+      assert.strictEqual(link.getAttribute("href"), null);
+    }
+    window.close();
+  });
+}
+
+test("venue card escapes address fields and its event list", async () => {
+  const window = loadPage({ get_venue_events: { v1: { 0: page([hostileRow("e2", badUrls[0].url)]) } } });
+  await window.populateCard2({
+    id: "v1",
+    venue: markup,
+    logo: badUrls[2].url,
+    address: markup,
+    city: markup,
+    stateCode: markup,
+    postal_code: markup,
+    url: badUrls[0].url,
+    map: badUrls[1].url,
+  });
+  await waitFor(() => window.document.querySelector("#venueEventsList .eventPageItem"));
+  const card = window.document.getElementById("container");
+  assertInert(window, card);
+  assertUrlsDropped(card);
+  assert.strictEqual(card.querySelector("#photo img").getAttribute("src"), null);
+  assert.ok(window.document.getElementById("venueEventsList").textContent.includes(markup));
+  window.close();
+});
+
+test("favorites panel escapes stored events", () => {
+  const window = loadPage();
+  window.localStorage.setItem(
+    "favoriteEvents",
+    JSON.stringify([{ id: "e1", title: markup, date: "2030-11-06", venue: markup, icon: badUrls[0].url, url: badUrls[2].url }])
+  );
+  window.renderFavorites();
+  const list = window.document.getElementById("favoritesList");
+  assertInert(window, list);
+  assertUrlsDropped(list);
+  assert.strictEqual(list.querySelector("img").getAttribute("src"), null);
+  window.close();
+});
+
+test("compare view escapes every compared field", () => {
+  const window = loadPage();
+  window.compareData = [hostileEvent("e1", badUrls[0].url), hostileEvent("e2", badUrls[2].url)];
+  window.renderCompare();
+  const view = window.document.getElementById("compareView");
+  assertInert(window, view);
+  assertUrlsDropped(view);
+  window.close();
+});
+
+test("artist panel escapes the attraction and its events", async () => {
+  const window = loadPage({ get_attraction_events: { a1: { 0: page([hostileRow("e3", badUrls[1].url)]) } } });
+  const event = hostileEvent("e1", badUrls[0].url);
+  await window.populateCard1({ card1: [event] });
+  window.openArtistPanel(event, event["attractions"][0]);
+  await waitFor(() => window.document.querySelector("#artistEventsList .eventPageItem"));
+  const panel = window.document.getElementById("artistPanel");
+  assertInert(window, panel);
+  assertUrlsDropped(panel);
+  const links = panel.querySelectorAll(".artistLinks a");
+  assert.strictEqual(links.length, badUrls.length + 1);
+  for (const link of links) {
+    assert.strictEqual(link.getAttribute("href"), null);
+  }
+  window.close();
+});
+
+test("suggestion dropdowns escape suggested names", async () => {
+  const window = loadPage({
+    suggest: { Lakers: { suggestions: [{ type: "event", id: "e1", name: markup, detail: markup }] } },
+    autocomplete: { Paris: { suggestions: [markup] } },
+  });
+  window.localStorage.setItem(
+    "recentLocations",
+    JSON.stringify([{ query: "Paris", address: "Paris " + markup, lat: 48.85, lon: 2.35 }])
+  );
+  const type = (id, text) => {
+    const input = window.document.getElementById(id);
+    input.value = text;
+    input.dispatchEvent(new window.Event("input"));
+  };
+
+  type("keyword", "Lakers");
+  const keywordList = window.document.getElementById("keywordSuggestions");
+  await waitFor(() => keywordList.querySelector("li"));
+  assertInert(window, keywordList);
+
+  type("locationTextBox", "Paris");
+  const locationList = window.document.getElementById("locationSuggestions");
+  await waitFor(() => locationList.querySelectorAll("li").length == 2);
+  assertInert(window, locationList);
+  window.close();
+});
@@ -0,0 +1,62 @@
+// Loads static/index.html and its scripts into jsdom, in fixture mode, so tests drive the
+// real frontend without a backend. `fixtures` replaces recorded files by name, e.g.
+// { get_card1: { <id>: {...} } }; anything else is read from static/fixtures. `query` is
+// added to the page URL, e.g. "&event=<id>".
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const staticDir = path.join(__dirname, "..", "..", "static");
+const scriptTag = /<script src="([^"]+)"><\/script>/g;
+
+function loadPage(fixtures, query) {
+  const html = fs.readFileSync(path.join(staticDir, "index.html"), "utf8");
+  const dom = new JSDOM(html.replace(scriptTag, ""), {
+    url: "http://localhost/?fixtures=1" + (query || ""),
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  const window = dom.window;
+
+  window.fetch = async (url) => {
+    const file = path.join(staticDir, new URL(url, window.location.href).pathname);
+    if (!fs.existsSync(file)) {
+      return { ok: false, status: 404, json: async () => ({}) };
+    }
+    const text = fs.readFileSync(file, "utf8");
+    return { ok: true, status: 200, json: async () => JSON.parse(text) };
+  };
+  // jsdom has no layout: innerText is missing (it would only set a plain property, so
+  // nothing would render) and scrollIntoView is absent
+  Object.defineProperty(window.HTMLElement.prototype, "innerText", {
+    get() {
+      return this.textContent;
+    },
+    set(value) {
+      this.textContent = value;
+    },
+    configurable: true,
+  });
+  window.Element.prototype.scrollIntoView = () => {};
+
+  for (const match of html.matchAll(scriptTag)) {
+    window.eval(fs.readFileSync(path.join(staticDir, match[1]), "utf8"));
+  }
+  Object.assign(window.fixtureFiles, fixtures || {});
+  window.document.dispatchEvent(new window.Event("DOMContentLoaded"));
+  return window;
+}
+
+// Resolves once `check()` returns something truthy, for the parts of the UI that render
+// after a debounce or a (fixture) request
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("Timed out waiting for the page");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { loadPage, waitFor };
@@ -0,0 +1,22 @@
+// Switching language redraws text that is already on screen, not just what renders next
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage } = require("./helpers/page");
+
+test("an error, the empty table and the location line follow the language", async () => {
+  const window = loadPage();
+  const text = (id) => window.document.getElementById(id).textContent;
+  await window.setLocale("es");
+  window.showError("search", new Error("offline"));
+  window.populateTable({ events: 0 });
+  window.showLocationSource({ address: "Paris", accuracy: 2500, source: "device" });
+  assert.match(text("searchError"), /^El servicio de eventos/);
+  assert.strictEqual(text("nodata"), "No se encontraron resultados");
+  assert.match(text("locationSource"), /^Usando la ubicación de tu dispositivo/);
+
+  await window.setLocale("en");
+  assert.match(text("searchError"), /^The events service/);
+  assert.strictEqual(text("nodata"), "No Records Found");
+  assert.match(text("locationSource"), /^Using your device location, accurate to ±3 km/);
+  window.close();
+});
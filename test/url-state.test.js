@@ -0,0 +1,34 @@
+// Links written by writeUrlState reopen what they describe, on load and on back/forward
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadPage, waitFor } = require("./helpers/page");
+
+test("an event link without a search reopens the event and its venue on load", async () => {
+  const window = loadPage({}, "&event=vvG1zZ9aK3lNfQ&venue=1");
+  await waitFor(() => window.document.getElementById("ttle"));
+  assert.match(window.document.getElementById("card1Heading").textContent, /Lakers vs\. Phoenix Suns/);
+  assert.strictEqual(window.document.getElementById("ttle").textContent, "Crypto.com Arena");
+  window.close();
+});
+
+test("going back to an event opened before any search reopens it", async () => {
+  const window = loadPage();
+  await window.getDetails("G5vYZ9GhO1sTf");
+  window.history.pushState(null, "", "/?fixtures=1");
+  await window.restoreUrlState();
+  assert.strictEqual(window.document.getElementById("Card1"), null);
+
+  window.history.back();
+  await waitFor(() => window.document.getElementById("Card1"));
+  assert.match(window.document.getElementById("card1Heading").textContent, /Film Night/);
+  window.close();
+});
+
+test("?api= only points a local page at a local backend", () => {
+  let window = loadPage({}, "&api=https://attacker.example");
+  assert.strictEqual(window.apiConfig.baseUrl, "");
+  window.close();
+  window = loadPage({}, "&api=http://127.0.0.1:5000");
+  assert.strictEqual(window.apiConfig.baseUrl, "http://127.0.0.1:5000");
+  window.close();
+});